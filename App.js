@@ -7,56 +7,200 @@ import {
   TextInput,
   ScrollView,
   Alert,
-  Dimensions,
   Modal,
-  Switch,
   Platform,
   Animated,
+  AppState,
+  AccessibilityInfo,
+  PanResponder,
+  InteractionManager,
+  useColorScheme,
+  useWindowDimensions,
 } from 'react-native';
-import AsyncStorage from '@react-native-async-storage/async-storage';
 import { Picker } from '@react-native-picker/picker';
 import { Audio } from 'expo-av';
-
-const { width: screenWidth, height: screenHeight } = Dimensions.get('window');
-
-// Color generation function
-const generateDistinctColors = (count) => {
-  const colors = [];
-  const hueStep = 360 / count;
-  
-  for (let i = 0; i < count; i++) {
-    const hue = (i * hueStep + Math.random() * 30) % 360;
-    const saturation = 70 + Math.random() * 30;
-    const lightness = 45 + Math.random() * 20;
-    colors.push(`hsl(${hue}, ${saturation}%, ${lightness}%)`);
-  }
-  
-  return colors.sort(() => Math.random() - 0.5);
-};
+import * as Haptics from 'expo-haptics';
+import {
+  checkWin,
+  deserializeState,
+  gridToNumbers,
+  serializeState,
+} from './src/engine';
+import { getBlankNumber, isBlank } from './src/sliding';
+import { MINI_MAP_WIDTH, PEEKS_PER_GAME, PEEK_DURATION_MS } from './src/peek';
+import {
+  GESTURE_MIN_DISTANCE,
+  MOVE_ANIMATION_MS,
+  getCellSpan,
+  getGestureStep,
+  getGestureTarget,
+  getTileOffsets,
+} from './src/gestures';
+import { TILE_MARGIN, getTileFontSize, getTileSize } from './src/layout';
+import { LARGE_TEXT_SCALE, describeMove, getTileLabel } from './src/accessibility';
+import { getReadableTextColor } from './src/colors';
+import { getPaletteColors, resolvePalette } from './src/palettes';
+import { getTheme } from './src/themes';
+import { DEFAULT_SETTINGS, createSettingsStore } from './src/settings';
+import {
+  DEFAULT_SIZE,
+  SIZE_PRESETS,
+  compareSizes,
+  getCellCount,
+  getSizeKey,
+  resizeSide,
+  toSize,
+} from './src/sizes';
+import { DEFAULT_RULES, RULE_SETS, getRules, getRulesLabel, isSliding } from './src/rules';
+import {
+  DEFAULT_HINT_BUDGET,
+  HINT_BUDGET_OPTIONS,
+  HINT_MOVE_PENALTY,
+  findPar,
+  getHint,
+} from './src/hints';
+import {
+  canRedo,
+  canUndo,
+  createHistory,
+  recordMove,
+  redoMove,
+  undoMove,
+} from './src/history';
+import { createReplay, isValidReplay } from './src/replay';
+import ReplayScreen from './src/screens/ReplayScreen';
+import StatsScreen from './src/screens/StatsScreen';
+import SettingsScreen from './src/screens/SettingsScreen';
+import {
+  createCountdown,
+  createStopwatch,
+  getElapsedMs,
+  getRemainingMs,
+  msUntilNextElapsedSecond,
+  msUntilNextSecond,
+  now,
+  pauseCountdown,
+  resumeCountdown,
+  toDisplaySeconds,
+  toTenths,
+} from './src/timer';
+import {
+  SCORES_SHOWN,
+  SCORE_SORTS,
+  computeScore,
+  formatEntryTime,
+  formatPar,
+  getEntryScore,
+  getScoringPar,
+  keepTopScores,
+  rankScores,
+} from './src/scoring';
+import { DEFAULT_MODE, GAME_MODES, getModeLabel, getScoreKey, isTimed, parseScoreKey } from './src/modes';
+import storage, { formatDate } from './src/storage';
+import {
+  MAX_NAME_LENGTH,
+  addProfile,
+  createProfile,
+  createProfiles,
+  getActiveProfile,
+  isNameTaken,
+  removeProfile,
+  switchProfile,
+  updateProfileSettings,
+} from './src/profiles';
+import { OUTCOMES, appendRecord, createGameRecord } from './src/stats';
+import { createExport, gameLogToCSV, mergeImport, parseExport } from './src/backup';
+import { pickTextFile, shareTextFile } from './src/files';
+import {
+  DAILY_OUTCOMES,
+  getDailyEntry,
+  getDailyLeaderboard,
+  getDailySeed,
+  getDailyStreak,
+  getDateKey,
+  saveDailyEntry,
+} from './src/daily';
+import { normalizeSeed, randomSeed } from './src/random';
 
 // Game component
 const GridZenGame = () => {
   const [gameState, setGameState] = useState('splash');
-  const [gridSize, setGridSize] = useState(3);
+  const [gridSize, setGridSize] = useState(DEFAULT_SIZE);
   const [grid, setGrid] = useState([]);
   const [targetGrid, setTargetGrid] = useState([]);
   const [selectedTile, setSelectedTile] = useState(null);
   const [moves, setMoves] = useState(0);
+  const [par, setPar] = useState(null);
+  // Board whose par is still to be worked out
+  const [parBoard, setParBoard] = useState(null);
+  const [hintBudget, setHintBudget] = useState(DEFAULT_HINT_BUDGET);
+  const [hintsUsed, setHintsUsed] = useState(0);
+  const [hintPair, setHintPair] = useState(null);
+  const [history, setHistory] = useState(createHistory());
+  const [isEasyGame, setIsEasyGame] = useState(false);
+  const [peeksUsed, setPeeksUsed] = useState(0);
+  const [isPeeking, setIsPeeking] = useState(false);
+  const [startNumbers, setStartNumbers] = useState([]);
+  const [activeReplay, setActiveReplay] = useState(null);
+  const [isPaused, setIsPaused] = useState(false);
+  const [savedGame, setSavedGame] = useState(null);
   const [timeLeft, setTimeLeft] = useState(30);
-  const [playerName, setPlayerName] = useState('');
+  const [timeElapsed, setTimeElapsed] = useState(0);
+  const [gameMode, setGameMode] = useState(DEFAULT_MODE);
+  const [rules, setRules] = useState(DEFAULT_RULES);
+  const [profiles, setProfiles] = useState(createProfiles());
+  // Latest profiles, for settings saves that run before the next render
+  const profilesRef = useRef(profiles);
+  const [showProfiles, setShowProfiles] = useState(false);
+  const [newProfileName, setNewProfileName] = useState('');
+  const [scoreProfileFilter, setScoreProfileFilter] = useState('all');
+  const [gameLog, setGameLog] = useState([]);
+  const [daily, setDaily] = useState({});
+  const [dailyDate, setDailyDate] = useState(null);
   const [highScores, setHighScores] = useState({});
-  const [isDarkMode, setIsDarkMode] = useState(false);
-  const [soundEnabled, setSoundEnabled] = useState(false);
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+  const { undoCountsAsMove, easyMode, palette, largeText } = settings;
   const [showHighScores, setShowHighScores] = useState(false);
-  const [selectedDifficulty, setSelectedDifficulty] = useState('3x3');
+  const [selectedDifficulty, setSelectedDifficulty] = useState(DEFAULT_SIZE);
+  const [scoreMode, setScoreMode] = useState(DEFAULT_MODE);
+  const [scoreRules, setScoreRules] = useState(DEFAULT_RULES);
+  const [scoreSort, setScoreSort] = useState('score');
+  const [seed, setSeed] = useState('');
+  const [seedInput, setSeedInput] = useState('');
   
   // Animation values
   const fadeAnim = useRef(new Animated.Value(1)).current;
   
+  // Layout follows the window as it is resized or rotated
+  const windowSize = useWindowDimensions();
+  const boardSize = toSize(gridSize);
+  const tileSize = getTileSize(windowSize, boardSize, TILE_MARGIN);
+  // Offset of each tile from its cell while it moves, by tile number
+  const tileOffsets = useRef(new Map()).current;
+  // Pan responder for each tile, by tile number, and the latest game state
+  // they act on. A responder keeps its gesture's progress to itself, so one
+  // made afresh during a drag would start counting from zero; each is made
+  // once and reads the game through the ref instead.
+  const tilePanResponders = useRef(new Map()).current;
+  const tileGestureRef = useRef(null);
+  
   // Refs
   const timerRef = useRef(null);
+  const countdownRef = useRef(createCountdown(0, null));
+  const [timerTick, setTimerTick] = useState(0);
+  const gameStartTime = useRef(0);
   const gameOverSound = useRef(null);
   const victorySound = useRef(null);
+  // Solution hints are taken from, kept between hints
+  const hintSolution = useRef(null);
+  
+  // Settings for the active player, saved to their profile on every change,
+  // or kept for the first player while there is none
+  const [settingsStore] = useState(() => createSettingsStore((profileId, newSettings) =>
+    (profileId
+      ? saveProfiles(updateProfileSettings(profilesRef.current, profileId, newSettings))
+      : storage.saveGuestSettings(newSettings))
+  ));
 
   // Load sounds
   const loadSounds = async () => {
@@ -100,42 +244,46 @@ const GridZenGame = () => {
 
   // Play sound helper
   const playSound = async (soundType) => {
-    if (!soundEnabled) return;
+    if (!settings.soundOn) return;
     
     try {
       if (soundType === 'gameover' && gameOverSound.current) {
-        await gameOverSound.current.replayAsync();
+        await gameOverSound.current.replayAsync({ volume: settings.volume });
       } else if (soundType === 'victory' && victorySound.current) {
-        await victorySound.current.replayAsync();
+        await victorySound.current.replayAsync({ volume: settings.volume });
       }
     } catch (error) {
       console.log('Error playing sound:', error);
     }
   };
 
-  // Theme colors
-  const theme = {
-    background: isDarkMode ? '#1a1a1a' : '#ffffff',
-    text: isDarkMode ? '#ffffff' : '#000000',
-    tile: isDarkMode ? '#2a2a2a' : '#f0f0f0',
-    selectedTile: '#4CAF50',
-    button: isDarkMode ? '#333333' : '#e0e0e0',
-    buttonText: isDarkMode ? '#ffffff' : '#000000',
-    input: isDarkMode ? '#333333' : '#f5f5f5',
-    inputText: isDarkMode ? '#ffffff' : '#000000',
-    border: isDarkMode ? '#444444' : '#cccccc',
+  // Haptic feedback helper; devices without haptics ignore it
+  const playHaptic = async (feedbackType) => {
+    if (!settings.haptics || Platform.OS === 'web') return;
+    
+    try {
+      if (feedbackType === 'select') {
+        await Haptics.selectionAsync();
+      } else if (feedbackType === 'move') {
+        await Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
+      } else if (feedbackType === 'victory') {
+        await Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+      } else if (feedbackType === 'gameover') {
+        await Haptics.notificationAsync(Haptics.NotificationFeedbackType.Error);
+      }
+    } catch (error) {
+      console.log('Error playing haptics:', error);
+    }
   };
 
-  // Time limits based on grid size
-  const getTimeLimit = (size) => {
-    const timeLimits = {
-      3: 30,
-      4: 60,
-      5: 90,
-      6: 120,
-    };
-    return timeLimits[size];
-  };
+  // Theme colors, following the device's appearance unless the player picked
+  // a theme
+  const colorScheme = useColorScheme();
+  const theme = getTheme(settings.theme, colorScheme);
+  const tilePalette = resolvePalette(palette, theme.palette);
+
+  // Show settings as they change
+  useEffect(() => settingsStore.subscribe(setSettings), []);
 
   // Initialize game and load data
   useEffect(() => {
@@ -152,18 +300,27 @@ const GridZenGame = () => {
   // Load initial data
   const loadInitialData = async () => {
     try {
-      // Load saved data
-      const savedScores = await AsyncStorage.getItem('gridzen_highscores');
-      if (savedScores) setHighScores(JSON.parse(savedScores));
+      // Upgrade data saved by older versions, then load it
+      await storage.migrate();
       
-      const savedName = await AsyncStorage.getItem('gridzen_playername');
-      if (savedName) setPlayerName(savedName);
+      setHighScores(await storage.loadHighScores());
+      setGameLog(await storage.loadGameLog());
+      setDaily(await storage.loadDaily());
       
-      const savedDarkMode = await AsyncStorage.getItem('darkMode');
-      if (savedDarkMode !== null) setIsDarkMode(JSON.parse(savedDarkMode));
+      const savedProfiles = await storage.loadProfiles();
+      profilesRef.current = savedProfiles;
+      setProfiles(savedProfiles);
+      const profile = getActiveProfile(savedProfiles);
+      if (profile) {
+        applyProfileSettings(profile);
+      } else {
+        // Settings kept for whoever becomes the first player
+        settingsStore.load(null, await storage.loadGuestSettings());
+        applyGameDefaults();
+      }
       
-      const savedSound = await AsyncStorage.getItem('soundOn');
-      if (savedSound !== null) setSoundEnabled(JSON.parse(savedSound));
+      const savedGameData = await storage.loadSavedGame();
+      if (savedGameData) setSavedGame(deserializeState(savedGameData));
       
       // Start splash animation - wait 3 seconds before starting fade
       setTimeout(() => {
@@ -178,7 +335,7 @@ const GridZenGame = () => {
         });
       }, 3000); // 3 seconds before starting fade
     } catch (error) {
-      console.log('Loading data succeeded');
+      console.log('Error loading data:', error);
       // Still transition to menu even if there's an error
       setTimeout(() => {
         fadeAnim.setValue(1);
@@ -201,103 +358,469 @@ const GridZenGame = () => {
     }
   };
 
-  // Timer effect
+  // Freeze or restart the clock when the game is paused or resumed
   useEffect(() => {
-    if (gameState === 'playing' && timeLeft > 0) {
-      timerRef.current = setTimeout(() => {
-        setTimeLeft(timeLeft - 1);
-      }, 1000);
-    } else if (timeLeft === 0 && gameState === 'playing') {
-      handleGameOver();
+    countdownRef.current = isPaused
+      ? pauseCountdown(countdownRef.current, now())
+      : resumeCountdown(countdownRef.current, now());
+  }, [isPaused]);
+
+  // Timer effect: the displayed time always comes from the clock, and the next
+  // update is scheduled for the moment the displayed second changes. Untimed
+  // games count up and never run out.
+  useEffect(() => {
+    if (gameState !== 'playing' || isPaused) return undefined;
+
+    let delay;
+    if (isTimed(gameMode)) {
+      const remaining = getRemainingMs(countdownRef.current, now());
+      if (remaining <= 0) {
+        setTimeLeft(0);
+        handleGameOver();
+        return undefined;
+      }
+      setTimeLeft(toDisplaySeconds(remaining));
+      delay = msUntilNextSecond(remaining);
+    } else {
+      const elapsed = getElapsedMs(countdownRef.current, now());
+      setTimeElapsed(Math.floor(elapsed / 1000));
+      delay = msUntilNextElapsedSecond(elapsed);
     }
 
+    timerRef.current = setTimeout(() => {
+      setTimerTick((tick) => tick + 1);
+    }, delay);
+
     return () => {
       if (timerRef.current) {
         clearTimeout(timerRef.current);
       }
     };
-  }, [timeLeft, gameState]);
+  }, [timerTick, gameState, isPaused]);
 
-  // Save settings
-  const saveSettings = async () => {
-    await AsyncStorage.setItem('darkMode', JSON.stringify(isDarkMode));
-    await AsyncStorage.setItem('soundOn', JSON.stringify(soundEnabled));
-  };
+  // Remaining time to a tenth of a second, for scoring and saving
+  const getPreciseTimeLeft = () => toTenths(getRemainingMs(countdownRef.current, now()));
 
-  // Save high scores
-  const saveHighScores = async (scores) => {
-    try {
-      await AsyncStorage.setItem('gridzen_highscores', JSON.stringify(scores));
-    } catch (error) {
-      // Storage error - scores saved in memory only
+  // Time played to a tenth of a second, for untimed games
+  const getPreciseTimeElapsed = () => toTenths(getElapsedMs(countdownRef.current, now()));
+
+  // Auto-pause when the app leaves the foreground
+  useEffect(() => {
+    const subscription = AppState.addEventListener('change', (nextAppState) => {
+      if (nextAppState !== 'active' && gameState === 'playing') {
+        setIsPaused(true);
+      }
+    });
+    return () => subscription.remove();
+  }, [gameState]);
+
+  // Work out par once the game screen has rendered, since solving a large
+  // board takes a noticeable moment. Hints follow the solution par was found
+  // from, unless one has already been asked for.
+  useEffect(() => {
+    if (!parBoard || gameState !== 'playing') return undefined;
+    const task = InteractionManager.runAfterInteractions(() => {
+      const found = findPar(parBoard, rules);
+      if (!hintSolution.current) hintSolution.current = found.solution;
+      setPar(found.par);
+      setParBoard(null);
+    });
+    return () => task.cancel();
+  }, [parBoard, gameState]);
+
+  // Par for the game in progress, worked out now if the game ends first
+  const getGamePar = () => par || findPar(parBoard, rules).par;
+
+  // Save the game in progress after every move and whenever it is paused
+  useEffect(() => {
+    if (gameState === 'playing' && grid.length > 0) {
+      saveGame();
     }
-  };
+  }, [history, hintsUsed, peeksUsed, isPaused, gameState]);
 
-  // Save player name
-  const savePlayerName = async (name) => {
-    try {
-      await AsyncStorage.setItem('gridzen_playername', name);
-    } catch (error) {
-      // Storage error - name saved in memory only
+  // End a peek when its time is up, or straight away if the game ends
+  useEffect(() => {
+    if (!isPeeking) return undefined;
+    if (gameState !== 'playing') {
+      setIsPeeking(false);
+      return undefined;
     }
+    const timeout = setTimeout(() => setIsPeeking(false), PEEK_DURATION_MS);
+    return () => clearTimeout(timeout);
+  }, [isPeeking, gameState]);
+
+  const activeProfile = getActiveProfile(profiles);
+
+  // New games start with the saved size, mode and rules
+  const applyGameDefaults = () => {
+    const defaults = settingsStore.getSettings();
+    setGridSize(defaults.gridSize);
+    setGameMode(defaults.gameMode);
+    setRules(defaults.rules);
   };
 
-  // Initialize grid
-  const initializeGrid = () => {
-    const size = gridSize * gridSize;
-    const colors = generateDistinctColors(size);
-    const numbers = Array.from({ length: size }, (_, i) => i + 1);
-    
-    // Create target grid (numbers in order)
-    const target = [];
-    for (let i = 0; i < gridSize; i++) {
-      target[i] = [];
-      for (let j = 0; j < gridSize; j++) {
-        target[i][j] = {
-          number: i * gridSize + j + 1,
-          color: colors[i * gridSize + j],
-        };
-      }
+  // Load a profile's settings into the app
+  const applyProfileSettings = (profile) => {
+    settingsStore.load(profile.id, profile.settings);
+    applyGameDefaults();
+  };
+
+  // Save profiles
+  const saveProfiles = async (newProfiles) => {
+    profilesRef.current = newProfiles;
+    setProfiles(newProfiles);
+    return storage.saveProfiles(newProfiles);
+  };
+
+  // Change the active player's settings. A new size, mode or rule set is also
+  // what the next game starts with.
+  const updateSettings = (changes) => {
+    settingsStore.update(changes);
+    const updated = settingsStore.getSettings();
+    if ('gridSize' in changes) setGridSize(updated.gridSize);
+    if ('gameMode' in changes) setGameMode(updated.gameMode);
+    if ('rules' in changes) setRules(updated.rules);
+  };
+
+  // Put every setting back to its default
+  const resetSettings = () => {
+    Alert.alert(
+      'Reset Settings',
+      'Put all settings back to their defaults? Scores and stats are kept.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Reset',
+          style: 'destructive',
+          onPress: () => {
+            settingsStore.reset();
+            applyGameDefaults();
+          },
+        },
+      ]
+    );
+  };
+
+  // Create a profile from the name typed in the profiles modal
+  const handleCreateProfile = () => {
+    const name = newProfileName.trim();
+    if (!name) {
+      Alert.alert('Name Required', 'Please enter a name for the new player.');
+      return;
     }
-    setTargetGrid(target);
-
-    // Create shuffled grid
-    const shuffled = numbers.sort(() => Math.random() - 0.5);
-    const newGrid = [];
-    for (let i = 0; i < gridSize; i++) {
-      newGrid[i] = [];
-      for (let j = 0; j < gridSize; j++) {
-        const index = i * gridSize + j;
-        newGrid[i][j] = {
-          number: shuffled[index],
-          color: colors[shuffled[index] - 1],
-        };
-      }
+    if (isNameTaken(profiles, name)) {
+      Alert.alert('Name Taken', `There is already a player called ${name}.`);
+      return;
     }
-    setGrid(newGrid);
+
+    // The first player keeps the settings chosen before there were players
+    const profile = activeProfile ? createProfile(name) : createProfile(name, settingsStore.getSettings());
+    saveProfiles(addProfile(profiles, profile));
+    if (!activeProfile) storage.clearGuestSettings();
+    applyProfileSettings(profile);
+    setNewProfileName('');
+  };
+
+  // Make another profile the active one
+  const handleSwitchProfile = (profile) => {
+    saveProfiles(switchProfile(profiles, profile.id));
+    applyProfileSettings(profile);
   };
 
-  // Start game
-  const startGame = () => {
-    if (!playerName.trim()) {
-      Alert.alert('Name Required', 'Please enter your name to continue.');
+  // Delete a profile along with its scores and saved game
+  const handleDeleteProfile = (profile) => {
+    Alert.alert(
+      'Delete Player',
+      `Delete ${profile.name} and all of their scores? This action cannot be undone.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: () => {
+            const newProfiles = removeProfile(profiles, profile.id);
+            saveProfiles(newProfiles);
+            
+            const updatedScores = {};
+            Object.entries(highScores).forEach(([key, entries]) => {
+              updatedScores[key] = entries.filter((entry) => entry.profileId !== profile.id);
+            });
+            setHighScores(updatedScores);
+            saveHighScores(updatedScores);
+            
+            const updatedLog = gameLog.filter((record) => record.profileId !== profile.id);
+            setGameLog(updatedLog);
+            storage.saveGameLog(updatedLog);
+            
+            const updatedDaily = {};
+            Object.entries(daily).forEach(([dateKey, sizes]) => {
+              updatedDaily[dateKey] = {};
+              Object.entries(sizes).forEach(([size, entries]) => {
+                updatedDaily[dateKey][size] = entries.filter((entry) => entry.profileId !== profile.id);
+              });
+            });
+            setDaily(updatedDaily);
+            storage.saveDaily(updatedDaily);
+            
+            if (savedGame && savedGame.profileId === profile.id) clearSavedGame();
+            if (scoreProfileFilter === profile.id) setScoreProfileFilter('all');
+            
+            const nextProfile = getActiveProfile(newProfiles);
+            if (!nextProfile) {
+              // The last player's settings stay in place for the next first player
+              const current = settingsStore.getSettings();
+              settingsStore.load(null, current);
+              storage.saveGuestSettings(current);
+            } else if (nextProfile.id !== activeProfile.id) {
+              applyProfileSettings(nextProfile);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  // Save high scores, warning the player if they only live in memory
+  const saveHighScores = async (scores) => {
+    const saved = await storage.saveHighScores(scores);
+    if (!saved) {
+      Alert.alert('Scores Not Saved', 'Your scores could not be saved and will be lost when the app closes.');
+    }
+  };
+
+  // Save the game in progress so it can be resumed after a relaunch
+  const saveGame = async () => {
+    const game = {
+      seed,
+      gridSize,
+      grid,
+      moves,
+      gameMode,
+      rules,
+      timeLeft: isTimed(gameMode) ? getPreciseTimeLeft() : null,
+      timeLimit: isTimed(gameMode) ? countdownRef.current.durationMs / 1000 : null,
+      timeElapsed: isTimed(gameMode) ? null : getPreciseTimeElapsed(),
+      par,
+      hintBudget,
+      hintsUsed,
+      peeksUsed,
+      isEasyGame,
+      history,
+      startNumbers,
+      startTime: gameStartTime.current,
+      profileId: activeProfile ? activeProfile.id : null,
+      dailyDate,
+    };
+    const serialized = serializeState(game);
+    setSavedGame(deserializeState(serialized));
+    await storage.saveSavedGame(serialized);
+  };
+
+  // Discard the saved game once it has finished
+  const clearSavedGame = async () => {
+    setSavedGame(null);
+    await storage.clearSavedGame();
+  };
+
+  // Pick the board size for new games
+  const selectGridSize = (size) => {
+    updateSettings({ gridSize: size });
+  };
+
+  // Initialize grid from the given seed
+  const initializeGrid = (boardSeed) => {
+    const board = getRules(rules).createBoard(boardSize, boardSeed);
+    setSeed(board.seed);
+    setTargetGrid(board.targetGrid);
+    setGrid(board.grid);
+    setStartNumbers(gridToNumbers(board.grid));
+    hintSolution.current = null;
+    setPar(null);
+    setParBoard(board);
+  };
+
+  // Start game, from the typed-in seed or a fresh random one unless this is
+  // the daily challenge for dailyDateKey
+  const startGame = (dailyDateKey = null) => {
+    if (!activeProfile) {
+      Alert.alert('Player Required', 'Please create a player profile to continue.');
+      setShowProfiles(true);
       return;
     }
-    savePlayerName(playerName);
+    setDailyDate(dailyDateKey);
     setGameState('playing');
     setMoves(0);
-    setTimeLeft(getTimeLimit(gridSize));
+    if (isTimed(gameMode)) {
+      const timeLimit = getRules(rules).getTimeLimit(boardSize);
+      setTimeLeft(timeLimit);
+      countdownRef.current = createCountdown(timeLimit * 1000, now());
+    } else {
+      setTimeElapsed(0);
+      countdownRef.current = createStopwatch(0, now());
+    }
+    setSelectedTile(null);
+    setHintsUsed(0);
+    setHintPair(null);
+    setPeeksUsed(0);
+    setIsPeeking(false);
+    // Daily challenges are always played without the target showing
+    setIsEasyGame(easyMode && !dailyDateKey);
+    setHistory(createHistory());
+    setIsPaused(false);
+    gameStartTime.current = Date.now();
+    if (dailyDateKey) {
+      initializeGrid(getDailySeed(dailyDateKey, gridSize));
+    } else {
+      initializeGrid(seedInput.trim() ? seedInput : randomSeed());
+    }
+  };
+
+  // Start today's daily challenge; starting it uses up the day's attempt
+  const startDailyChallenge = () => {
+    if (!activeProfile) {
+      startGame();
+      return;
+    }
+    const dateKey = getDateKey();
+    if (getDailyEntry(daily, dateKey, gridSize, activeProfile.id)) {
+      Alert.alert(
+        'Already Played',
+        `You've already played today's ${gridSize} challenge. Come back tomorrow!`
+      );
+      return;
+    }
+    saveDailyResult(dateKey, { outcome: DAILY_OUTCOMES.started });
+    startGame(dateKey);
+  };
+
+  // Save the active player's daily challenge entry for dateKey
+  const saveDailyResult = (dateKey, result) => {
+    const updatedDaily = saveDailyEntry(daily, dateKey, gridSize, {
+      name: activeProfile.name,
+      profileId: activeProfile.id,
+      ...result,
+      date: new Date().toISOString(),
+    });
+    setDaily(updatedDaily);
+    storage.saveDaily(updatedDaily);
+  };
+
+  // Resume the saved game
+  const resumeGame = () => {
+    if (!savedGame) return;
+    setGridSize(getSizeKey(savedGame.gridSize));
+    setSeed(savedGame.seed);
+    setGrid(savedGame.grid);
+    setTargetGrid(savedGame.targetGrid);
+    setMoves(savedGame.moves);
+    const savedMode = savedGame.gameMode || DEFAULT_MODE;
+    setGameMode(savedMode);
+    setRules(savedGame.rules || DEFAULT_RULES);
+    if (isTimed(savedMode)) {
+      // Restore the full limit so the game's duration counts time played
+      // before it was saved; games saved without one take the current limit
+      const timeLimit = Math.max(
+        savedGame.timeLimit || getRules(savedGame.rules || DEFAULT_RULES).getTimeLimit(toSize(savedGame.gridSize)),
+        savedGame.timeLeft
+      );
+      setTimeLeft(toDisplaySeconds(savedGame.timeLeft * 1000));
+      countdownRef.current = createCountdown(timeLimit * 1000, now(), (timeLimit - savedGame.timeLeft) * 1000);
+    } else {
+      setTimeElapsed(Math.floor(savedGame.timeElapsed));
+      countdownRef.current = createStopwatch(savedGame.timeElapsed * 1000, now());
+    }
+    setPar(savedGame.par);
+    // Games saved before par was ready work it out again from their seed
+    setParBoard(savedGame.par
+      ? null
+      : getRules(savedGame.rules || DEFAULT_RULES).createBoard(toSize(savedGame.gridSize), savedGame.seed));
+    hintSolution.current = null;
+    setHintBudget(savedGame.hintBudget);
+    setHintsUsed(savedGame.hintsUsed);
+    setPeeksUsed(savedGame.peeksUsed || 0);
+    setIsPeeking(false);
+    setIsEasyGame(Boolean(savedGame.isEasyGame));
+    setHistory(savedGame.history);
+    setStartNumbers(savedGame.startNumbers);
+    gameStartTime.current = savedGame.startTime;
+    setDailyDate(savedGame.dailyDate || null);
     setSelectedTile(null);
-    initializeGrid();
+    setHintPair(null);
+    setIsPaused(false);
+    setGameState('playing');
+  };
+
+  // Record a finished game in the active player's stats
+  const logGame = (outcome, finalMoves, gamePar = getGamePar()) => {
+    const record = createGameRecord({
+      profileId: activeProfile ? activeProfile.id : null,
+      outcome,
+      gridSize,
+      gameMode,
+      rules,
+      moves: finalMoves,
+      par: gamePar.moves,
+      parIsEstimate: !gamePar.optimal,
+      durationMs: getElapsedMs(countdownRef.current, now()),
+      seed,
+    });
+    const updatedLog = appendRecord(gameLog, record);
+    setGameLog(updatedLog);
+    storage.saveGameLog(updatedLog);
+  };
+
+  // Give up the current game
+  const giveUp = () => {
+    if (timerRef.current) {
+      clearTimeout(timerRef.current);
+    }
+    logGame(OUTCOMES.giveUp, moves);
+    if (dailyDate) saveDailyResult(dailyDate, { outcome: DAILY_OUTCOMES.loss, moves });
+    clearSavedGame();
+    playSound('gameover');
+    playHaptic('gameover');
+    setGameState('menu');
+  };
+
+  // Give up when the Give Up button is pressed, checking with the player
+  // first unless they've turned that off. The game pauses while they decide.
+  const handleGiveUp = () => {
+    if (!settings.confirmGiveUp) {
+      giveUp();
+      return;
+    }
+    const wasPaused = isPaused;
+    setIsPaused(true);
+    Alert.alert(
+      'Give Up?',
+      'This game will count as a loss.',
+      [
+        { text: 'Keep Playing', style: 'cancel', onPress: () => setIsPaused(wasPaused) },
+        { text: 'Give Up', style: 'destructive', onPress: giveUp },
+      ],
+      { cancelable: true, onDismiss: () => setIsPaused(wasPaused) }
+    );
   };
 
   // Handle tile press
   const handleTilePress = (row, col) => {
-    if (gameState !== 'playing') return;
+    if (gameState !== 'playing' || isPaused) return;
+
+    // Some rule sets move tiles with a single tap
+    const gameRules = getRules(rules);
+    if (gameRules.getTapMoves) {
+      const tapMoves = gameRules.getTapMoves(grid, { row, col });
+      if (tapMoves.length > 0) applyMoves(tapMoves);
+      return;
+    }
+
+    // Fixed tiles can't be picked up
+    if (gameRules.isFixed && gameRules.isFixed(grid[row][col], boardSize)) return;
 
     if (!selectedTile) {
       // First selection
       setSelectedTile({ row, col });
+      playHaptic('select');
     } else {
       const { row: selRow, col: selCol } = selectedTile;
       
@@ -307,81 +830,195 @@ const GridZenGame = () => {
         return;
       }
       
-      // Check if adjacent (up-down, left-right only)
-      const isAdjacent = 
-        (Math.abs(row - selRow) === 1 && col === selCol) ||
-        (Math.abs(col - selCol) === 1 && row === selRow);
-
-      if (isAdjacent) {
-        // Swap tiles
-        const newGrid = [...grid];
-        const temp = newGrid[row][col];
-        newGrid[row][col] = newGrid[selRow][selCol];
-        newGrid[selRow][selCol] = temp;
-        
-        setGrid(newGrid);
-        setMoves(moves + 1);
-        setSelectedTile(null);
-        
-        // Check win condition
-        if (checkWin(newGrid)) {
-          handleWin();
-        }
+      if (gameRules.isValidMove(grid, selectedTile, { row, col })) {
+        applyMoves([{ from: selectedTile, to: { row, col } }]);
       } else {
-        // Select new tile if not adjacent
+        // Select new tile if it can't move there
         setSelectedTile({ row, col });
       }
     }
   };
 
-  // Check win condition
-  const checkWin = (currentGrid) => {
-    let expectedNumber = 1;
-    for (let i = 0; i < gridSize; i++) {
-      for (let j = 0; j < gridSize; j++) {
-        if (currentGrid[i][j].number !== expectedNumber) {
-          return false;
-        }
-        expectedNumber++;
-      }
+  // Apply moves to the board, counting each one. `dragged` is the tile the
+  // player dragged there, if any, so it moves on from where it was let go.
+  const applyMoves = (boardMoves, dragged = null) => {
+    const { applyMove } = getRules(rules);
+    const time = Date.now();
+    let newGrid = grid;
+    let newHistory = history;
+    boardMoves.forEach((move) => {
+      newGrid = applyMove(newGrid, move.from, move.to);
+      newHistory = recordMove(newHistory, move, time);
+    });
+    const newMoves = moves + boardMoves.length;
+    animateTiles(grid, newGrid, dragged);
+    announceMove(grid, newGrid);
+    playHaptic('move');
+    setGrid(newGrid);
+    setHistory(newHistory);
+    setMoves(newMoves);
+    setSelectedTile(null);
+    setHintPair(null);
+    
+    // Check win condition
+    if (checkWin(newGrid, targetGrid)) {
+      handleWin(newMoves, newHistory);
+    }
+  };
+
+  // Move a tile by swiping or dragging it. Returns whether it moved.
+  const handleTileGesture = (row, col, gesture) => {
+    if (gameState !== 'playing' || isPaused) return false;
+
+    const from = { row, col };
+    const to = getGestureTarget(from, gesture, getCellSpan(tileSize, TILE_MARGIN));
+    if (!to) return false;
+    const dragged = { number: grid[row][col].number, dx: gesture.dx, dy: gesture.dy };
+
+    // Tap-move rule sets move a tile when it is pushed the way a tap would move it
+    const gameRules = getRules(rules);
+    if (gameRules.getTapMoves) {
+      const tapMoves = gameRules.getTapMoves(grid, from);
+      const step = getGestureStep(from, to);
+      const lastMove = tapMoves[tapMoves.length - 1];
+      if (!lastMove || lastMove.to.row !== step.row || lastMove.to.col !== step.col) return false;
+      applyMoves(tapMoves, dragged);
+      return true;
     }
+
+    if (gameRules.isFixed && gameRules.isFixed(grid[row][col], boardSize)) return false;
+    if (!gameRules.isValidMove(grid, from, to)) return false;
+    applyMoves([{ from, to }], dragged);
     return true;
   };
 
-  // Handle win
-  const handleWin = () => {
+  // Show the solved board for a moment
+  const handlePeek = () => {
+    if (gameState !== 'playing' || isPaused || isPeeking) return;
+    if (peeksUsed >= PEEKS_PER_GAME) {
+      Alert.alert('No Peeks Left', 'You have used all your peeks for this game.');
+      return;
+    }
+
+    setPeeksUsed(peeksUsed + 1);
+    setIsPeeking(true);
+    setSelectedTile(null);
+  };
+
+  // Show the next best move, at the cost of a move penalty
+  const handleHint = () => {
+    if (gameState !== 'playing' || isPaused) return;
+    if (hintsUsed >= hintBudget) {
+      Alert.alert('No Hints Left', 'You have used all your hints for this game.');
+      return;
+    }
+
+    const { hint, solution } = getHint(grid, rules, { seed, moves: history.past }, hintSolution.current);
+    hintSolution.current = solution;
+    if (!hint) return;
+    setHintPair(hint);
+    setHintsUsed(hintsUsed + 1);
+    setMoves(moves + HINT_MOVE_PENALTY);
+    setSelectedTile(null);
+  };
+
+  // Take back the last move
+  const handleUndo = () => {
+    if (gameState !== 'playing' || isPaused || !canUndo(history)) return;
+
+    const { swap, history: newHistory } = undoMove(history, Date.now());
+    const newGrid = getRules(rules).applyMove(grid, swap.from, swap.to);
+    animateTiles(grid, newGrid);
+    announceMove(grid, newGrid, 'Undone');
+    setGrid(newGrid);
+    setHistory(newHistory);
+    setMoves(undoCountsAsMove ? moves + 1 : moves - 1);
+    setSelectedTile(null);
+    setHintPair(null);
+  };
+
+  // Re-apply the last undone move
+  const handleRedo = () => {
+    if (gameState !== 'playing' || isPaused || !canRedo(history)) return;
+
+    const { swap, history: newHistory } = redoMove(history, Date.now());
+    const newGrid = getRules(rules).applyMove(grid, swap.from, swap.to);
+    const newMoves = moves + 1;
+    animateTiles(grid, newGrid);
+    announceMove(grid, newGrid, 'Redone');
+    setGrid(newGrid);
+    setHistory(newHistory);
+    setMoves(newMoves);
+    setSelectedTile(null);
+    setHintPair(null);
+
+    if (checkWin(newGrid, targetGrid)) {
+      handleWin(newMoves, newHistory);
+    }
+  };
+
+  // Handle win; finalMoves and finalHistory include the winning swap, which
+  // isn't in state yet
+  const handleWin = (finalMoves, finalHistory) => {
+    // Timed games score the time left, untimed ones record the time taken
+    const timed = isTimed(gameMode);
+    const timeResult = timed
+      ? { timeRemaining: getPreciseTimeLeft() }
+      : { timeTaken: getPreciseTimeElapsed() };
+    const gamePar = getGamePar();
     setGameState('won');
     if (timerRef.current) {
       clearTimeout(timerRef.current);
     }
+    logGame(OUTCOMES.win, finalMoves, gamePar);
+    clearSavedGame();
     
     // Update high scores
-    const scoreKey = `${gridSize}x${gridSize}`;
+    const scoreKey = getScoreKey(gameMode, gridSize, rules);
     const newScore = {
-      name: playerName,
-      moves: moves,
-      timeRemaining: timeLeft,
-      date: new Date().toLocaleDateString(),
+      name: activeProfile.name,
+      profileId: activeProfile.id,
+      moves: finalMoves,
+      par: gamePar.moves,
+      parIsEstimate: !gamePar.optimal,
+      hintsUsed: hintsUsed,
+      peeksUsed: peeksUsed,
+      ...timeResult,
+      score: computeScore({ moves: finalMoves, ...timeResult, par: getScoringPar(gamePar), hintsUsed, gridSize }),
+      seed: seed,
+      replay: createReplay({
+        seed,
+        gridSize,
+        rules,
+        startNumbers,
+        actions: finalHistory.actions,
+        startTime: gameStartTime.current,
+        result: { outcome: 'won', moves: finalMoves, ...timeResult },
+      }),
+      date: new Date().toISOString(),
     };
     
-    const updatedScores = { ...highScores };
-    if (!updatedScores[scoreKey]) {
-      updatedScores[scoreKey] = [];
+    // Daily challenges have their own leaderboard, and easy mode wins aren't ranked
+    if (dailyDate) {
+      const { name, profileId, date, ...result } = newScore;
+      saveDailyResult(dailyDate, { ...result, outcome: DAILY_OUTCOMES.win });
+    } else if (!isEasyGame) {
+      const updatedScores = { ...highScores };
+      updatedScores[scoreKey] = keepTopScores([...(updatedScores[scoreKey] || []), newScore], gridSize);
+      
+      setHighScores(updatedScores);
+      saveHighScores(updatedScores);
     }
     
-    updatedScores[scoreKey].push(newScore);
-    updatedScores[scoreKey].sort((a, b) => a.moves - b.moves);
-    updatedScores[scoreKey] = updatedScores[scoreKey].slice(0, 5);
-    
-    setHighScores(updatedScores);
-    saveHighScores(updatedScores);
-    
     // Play victory sound
     playSound('victory');
+    playHaptic('victory');
     
     Alert.alert(
       'Congratulations!',
-      `You won in ${moves} moves with ${timeLeft} seconds remaining!`,
+      `You won in ${finalMoves} moves (par ${formatPar(gamePar.moves, !gamePar.optimal)}) ${
+        timed ? `with ${timeResult.timeRemaining} seconds remaining` : `in ${timeResult.timeTaken} seconds`
+      }!\n\nScore: ${newScore.score}${isEasyGame ? ' (easy mode, not ranked)' : ''}`,
       [{ text: 'OK', onPress: () => setGameState('menu') }]
     );
   };
@@ -392,9 +1029,13 @@ const GridZenGame = () => {
     if (timerRef.current) {
       clearTimeout(timerRef.current);
     }
+    logGame(OUTCOMES.timeout, moves);
+    if (dailyDate) saveDailyResult(dailyDate, { outcome: DAILY_OUTCOMES.loss, moves });
+    clearSavedGame();
     
     // Play game over sound
     playSound('gameover');
+    playHaptic('gameover');
     
     Alert.alert(
       'Time\'s Up!',
@@ -415,7 +1056,7 @@ const GridZenGame = () => {
           style: 'destructive',
           onPress: async () => {
             setHighScores({});
-            await AsyncStorage.removeItem('gridzen_highscores');
+            await storage.clearHighScores();
             Alert.alert('Success', 'All high scores have been reset.');
           },
         },
@@ -423,34 +1064,270 @@ const GridZenGame = () => {
     );
   };
 
-  // Render tile
-  const renderTile = (tile, row, col) => {
-    const isSelected = selectedTile && selectedTile.row === row && selectedTile.col === col;
-    const tileSize = (screenWidth - 60) / gridSize - 10;
+  // Share scores and history as a JSON backup, or the history as CSV
+  const exportData = async (format) => {
+    const stamp = new Date().toISOString().slice(0, 10);
+    try {
+      if (format === 'csv') {
+        await shareTextFile(`gridzen-games-${stamp}.csv`, gameLogToCSV(gameLog, profiles), 'text/csv');
+      } else {
+        const backup = createExport({ highScores, gameLog, profiles });
+        await shareTextFile(`gridzen-backup-${stamp}.json`, JSON.stringify(backup), 'application/json');
+      }
+    } catch (error) {
+      console.log('Error exporting data:', error);
+      Alert.alert('Export Failed', 'Your data could not be exported.');
+    }
+  };
+
+  // Merge a JSON backup into the scores, history and players on this device
+  const importData = async () => {
+    let text;
+    try {
+      text = await pickTextFile();
+    } catch (error) {
+      console.log('Error reading import:', error);
+      Alert.alert('Import Failed', 'The file could not be read.');
+      return;
+    }
+    if (text === null) return;
+
+    const { data, error } = parseExport(text);
+    if (error) {
+      Alert.alert('Import Failed', error);
+      return;
+    }
+
+    const merged = mergeImport({ highScores, gameLog, profiles }, data);
+    setHighScores(merged.highScores);
+    saveHighScores(merged.highScores);
+    setGameLog(merged.gameLog);
+    storage.saveGameLog(merged.gameLog);
+    saveProfiles(merged.profiles);
+    if (!activeProfile && getActiveProfile(merged.profiles)) {
+      applyProfileSettings(getActiveProfile(merged.profiles));
+    }
     
+    Alert.alert(
+      'Import Complete',
+      `Added ${merged.addedScores} high score${merged.addedScores === 1 ? '' : 's'} and ` +
+        `${merged.addedGames} game${merged.addedGames === 1 ? '' : 's'}.`
+    );
+  };
+
+  // Open the replay viewer for a high score entry
+  const openReplay = (replay) => {
+    if (!isValidReplay(replay)) {
+      Alert.alert('Replay Unavailable', 'This replay is damaged and can\'t be played.');
+      return;
+    }
+    setShowHighScores(false);
+    setActiveReplay(replay);
+    setGameState('replay');
+  };
+
+  const getTileOffset = (number) => {
+    if (!tileOffsets.has(number)) tileOffsets.set(number, new Animated.ValueXY());
+    return tileOffsets.get(number);
+  };
+
+  // Slide tiles that moved between two grids from their old cells to their new ones
+  const animateTiles = (oldGrid, newGrid, dragged = null) => {
+    const offsets = getTileOffsets(oldGrid, newGrid, getCellSpan(tileSize, TILE_MARGIN));
+    offsets.forEach(({ x, y }, number) => {
+      const offset = getTileOffset(number);
+      offset.setValue(dragged && dragged.number === number
+        ? { x: x + dragged.dx, y: y + dragged.dy }
+        : { x, y });
+      Animated.timing(offset, {
+        toValue: { x: 0, y: 0 },
+        duration: MOVE_ANIMATION_MS,
+        useNativeDriver: true,
+      }).start();
+    });
+  };
+
+  // Tell screen reader users what a move did
+  const announceMove = (oldGrid, newGrid, prefix = null) => {
+    const description = describeMove(oldGrid, newGrid, {
+      hidden: getRules(rules).hideNumbers,
+      gapNumber: isSliding(rules) ? getBlankNumber(boardSize) : null,
+    });
+    AccessibilityInfo.announceForAccessibility(prefix ? `${prefix}: ${description}` : description);
+  };
+
+  // Colors tiles are drawn in, indexed by tile number - 1. Palettes recolor
+  // boards unless the colors are the puzzle.
+  const getDrawColors = () => {
+    const boardColors = targetGrid.flat().map((tile) => tile.color);
+    return getRules(rules).keepsColors ? boardColors : getPaletteColors(boardColors, tilePalette);
+  };
+
+  // Font size style for large text mode, scaled from a style's own size
+  const largeTextStyle = (style) =>
+    (largeText ? { fontSize: StyleSheet.flatten(style).fontSize * LARGE_TEXT_SCALE } : null);
+
+  tileGestureRef.current = { canDrag: gameState === 'playing' && !isPaused, grid, handleTileGesture };
+
+  // Let a tile be swiped or dragged. It follows the finger, and springs back
+  // if it can't move where it was let go.
+  const createTilePanResponder = (number) => {
+    const offset = getTileOffset(number);
+    const springBack = () => {
+      Animated.spring(offset, { toValue: { x: 0, y: 0 }, useNativeDriver: true }).start();
+    };
+    return PanResponder.create({
+      onMoveShouldSetPanResponderCapture: (event, { dx, dy }) =>
+        tileGestureRef.current.canDrag && Math.max(Math.abs(dx), Math.abs(dy)) >= GESTURE_MIN_DISTANCE,
+      onPanResponderTerminationRequest: () => false,
+      onPanResponderGrant: () => setSelectedTile(null),
+      onPanResponderMove: (event, { dx, dy }) => offset.setValue({ x: dx, y: dy }),
+      onPanResponderRelease: (event, gesture) => {
+        const { grid: currentGrid, handleTileGesture: handleGesture } = tileGestureRef.current;
+        const row = currentGrid.findIndex((cells) => cells.some((tile) => tile.number === number));
+        const col = row === -1 ? -1 : currentGrid[row].findIndex((tile) => tile.number === number);
+        if (row === -1 || !handleGesture(row, col, gesture)) springBack();
+      },
+      onPanResponderTerminate: springBack,
+    });
+  };
+
+  const getTilePanResponder = (number) => {
+    if (!tilePanResponders.has(number)) tilePanResponders.set(number, createTilePanResponder(number));
+    return tilePanResponders.get(number);
+  };
+
+  // Render tile, drawn in its color from drawColors
+  const renderTile = (tile, row, col, drawColors) => {
+    const isSelected = (selectedTile && selectedTile.row === row && selectedTile.col === col) ||
+      (hintPair !== null && [hintPair.from, hintPair.to].some((cell) => cell.row === row && cell.col === col));
+    
+    const gameRules = getRules(rules);
+    
+    // The sliding puzzle's blank is drawn as a gap
+    if (isSliding(rules) && isBlank(tile, boardSize)) {
+      return (
+        <View
+          key={`${row}-${col}`}
+          accessible={true}
+          accessibilityLabel={getTileLabel(tile, row, col, { selected: isSelected, gap: true })}
+          style={[
+            styles.tile,
+            {
+              width: tileSize,
+              height: tileSize,
+              borderColor: isSelected ? theme.selectedTile : 'transparent',
+              borderWidth: isSelected ? 3 : 1,
+            },
+          ]}
+        />
+      );
+    }
+    
+    // Tap-tap stays alongside gestures, for anyone who can't swipe
+    const isFixed = gameRules.isFixed && gameRules.isFixed(tile, boardSize);
+    const color = drawColors[tile.number - 1];
+    const textColor = getReadableTextColor(color);
+    const fontSize = Math.min(tileSize * 0.6, getTileFontSize(tileSize) * (largeText ? LARGE_TEXT_SCALE : 1));
     return (
-      <TouchableOpacity
+      <Animated.View
         key={`${row}-${col}`}
-        style={[
-          styles.tile,
-          {
-            backgroundColor: tile.color,
-            width: tileSize,
-            height: tileSize,
-            borderColor: isSelected ? theme.selectedTile : theme.border,
-            borderWidth: isSelected ? 3 : 1,
-          },
-        ]}
-        onPress={() => handleTilePress(row, col)}
+        style={{ transform: getTileOffset(tile.number).getTranslateTransform() }}
+        {...(isFixed ? {} : getTilePanResponder(tile.number).panHandlers)}
       >
-        <Text style={[styles.tileText, { color: theme.text }]}>{tile.number}</Text>
-      </TouchableOpacity>
+        <TouchableOpacity
+          style={[
+            styles.tile,
+            {
+              backgroundColor: color,
+              width: tileSize,
+              height: tileSize,
+              borderColor: isSelected ? theme.selectedTile : theme.border,
+              borderWidth: isSelected ? 3 : 1,
+            },
+          ]}
+          onPress={() => handleTilePress(row, col)}
+          accessibilityRole="button"
+          accessibilityLabel={getTileLabel(tile, row, col, {
+            selected: isSelected,
+            hidden: gameRules.hideNumbers,
+            fixed: isFixed,
+          })}
+          accessibilityState={{ selected: isSelected, disabled: isFixed }}
+        >
+          {!gameRules.hideNumbers && (
+            <Text style={[styles.tileText, { color: textColor, fontSize }]}>{tile.number}</Text>
+          )}
+          {isFixed && (
+            <View style={[styles.anchorDot, { backgroundColor: textColor }]} />
+          )}
+          {/* Selection is marked by shape as well as color */}
+          {isSelected && (
+            <View style={[styles.selectedMarker, { borderColor: textColor }]} />
+          )}
+        </TouchableOpacity>
+      </Animated.View>
     );
   };
 
+  // Render the solved board, drawn but not playable
+  const renderTargetGrid = (targetTileSize) => {
+    const gameRules = getRules(rules);
+    const drawColors = getDrawColors();
+    return targetGrid.map((row, rowIndex) => (
+      <View key={rowIndex} style={styles.row}>
+        {row.map((tile, colIndex) => {
+          const isGap = isSliding(rules) && isBlank(tile, boardSize);
+          return (
+            <View
+              key={`${rowIndex}-${colIndex}`}
+              style={[
+                styles.tile,
+                {
+                  backgroundColor: isGap ? 'transparent' : drawColors[tile.number - 1],
+                  width: targetTileSize,
+                  height: targetTileSize,
+                  borderColor: isGap ? 'transparent' : theme.border,
+                  borderWidth: 1,
+                },
+              ]}
+            >
+              {!isGap && !gameRules.hideNumbers && (
+                <Text
+                  style={[
+                    styles.tileText,
+                    { color: getReadableTextColor(drawColors[tile.number - 1]), fontSize: targetTileSize / 2.5 },
+                  ]}
+                >
+                  {tile.number}
+                </Text>
+              )}
+            </View>
+          );
+        })}
+      </View>
+    ));
+  };
+
   // Render high scores modal
   const renderHighScoresModal = () => {
-    const scores = highScores[selectedDifficulty] || [];
+    const scoresGridSize = selectedDifficulty;
+    // Offer every size with scores for this mode and rule set, and the one picked
+    const scoreSizes = [...new Set([
+      selectedDifficulty,
+      ...Object.keys(highScores)
+        .map(parseScoreKey)
+        .filter((parsed) => parsed && parsed.mode === scoreMode && parsed.rules === scoreRules)
+        .map((parsed) => parsed.gridSize),
+    ])].sort(compareSizes);
+    const entries = (highScores[getScoreKey(scoreMode, scoresGridSize, scoreRules)] || [])
+      .filter((entry) => scoreProfileFilter === 'all' || entry.profileId === scoreProfileFilter);
+    const scores = rankScores(entries, scoreSort, scoresGridSize).slice(0, SCORES_SHOWN);
+    // Daily challenges are always timed swap games
+    const showDaily = isTimed(scoreMode) && scoreRules === DEFAULT_RULES;
+    const dailyScores = showDaily
+      ? getDailyLeaderboard(daily, getDateKey(), scoresGridSize).slice(0, SCORES_SHOWN)
+      : [];
     
     return (
       <Modal
@@ -470,45 +1347,249 @@ const GridZenGame = () => {
               <Text style={[styles.resetButtonText, { color: '#ffffff' }]}>Reset All Scores</Text>
             </TouchableOpacity>
             
+            <View style={styles.sortButtons}>
+              {[
+                { label: 'Export JSON', onPress: () => exportData('json') },
+                { label: 'Export CSV', onPress: () => exportData('csv') },
+                { label: 'Import', onPress: importData },
+              ].map(({ label, onPress }) => (
+                <TouchableOpacity
+                  key={label}
+                  style={[styles.sortButton, { backgroundColor: theme.button }]}
+                  onPress={onPress}
+                >
+                  <Text style={[styles.sortButtonText, { color: theme.buttonText }]}>{label}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+            
             <View style={[styles.pickerContainer, { backgroundColor: theme.input }]}>
               <Picker
                 selectedValue={selectedDifficulty}
                 onValueChange={setSelectedDifficulty}
                 style={{ color: theme.inputText }}
               >
-                <Picker.Item label="3x3" value="3x3" />
-                <Picker.Item label="4x4" value="4x4" />
-                <Picker.Item label="5x5" value="5x5" />
-                <Picker.Item label="6x6" value="6x6" />
+                {scoreSizes.map((size) => (
+                  <Picker.Item key={size} label={size} value={size} />
+                ))}
               </Picker>
             </View>
             
+            <View style={styles.sortButtons}>
+              {GAME_MODES.map(({ key, label }) => (
+                <TouchableOpacity
+                  key={key}
+                  style={[
+                    styles.sortButton,
+                    { backgroundColor: scoreMode === key ? theme.selectedTile : theme.button },
+                  ]}
+                  onPress={() => setScoreMode(key)}
+                >
+                  <Text
+                    style={[
+                      styles.sortButtonText,
+                      { color: scoreMode === key ? theme.selectedText : theme.buttonText },
+                    ]}
+                  >
+                    {label}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+            
+            <View style={styles.sortButtons}>
+              {RULE_SETS.map(({ key, label }) => (
+                <TouchableOpacity
+                  key={key}
+                  style={[
+                    styles.sortButton,
+                    { backgroundColor: scoreRules === key ? theme.selectedTile : theme.button },
+                  ]}
+                  onPress={() => setScoreRules(key)}
+                >
+                  <Text
+                    style={[
+                      styles.sortButtonText,
+                      { color: scoreRules === key ? theme.selectedText : theme.buttonText },
+                    ]}
+                  >
+                    {label}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+            
+            <View style={[styles.pickerContainer, { backgroundColor: theme.input }]}>
+              <Picker
+                selectedValue={scoreProfileFilter}
+                onValueChange={setScoreProfileFilter}
+                style={{ color: theme.inputText }}
+              >
+                <Picker.Item label="All Players" value="all" />
+                {profiles.list.map((profile) => (
+                  <Picker.Item key={profile.id} label={profile.name} value={profile.id} />
+                ))}
+              </Picker>
+            </View>
+            
+            <View style={styles.sortButtons}>
+              {SCORE_SORTS.map(({ key, label }) => (
+                <TouchableOpacity
+                  key={key}
+                  style={[
+                    styles.sortButton,
+                    { backgroundColor: scoreSort === key ? theme.selectedTile : theme.button },
+                  ]}
+                  onPress={() => setScoreSort(key)}
+                >
+                  <Text
+                    style={[
+                      styles.sortButtonText,
+                      { color: scoreSort === key ? theme.selectedText : theme.buttonText },
+                    ]}
+                  >
+                    {label}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+            
             <ScrollView style={styles.scoresContainer}>
+              {showDaily && (
+                <Text style={[styles.scoresHeading, { color: theme.text }]}>Today's Daily Challenge</Text>
+              )}
+              {!showDaily ? null : dailyScores.length > 0 ? (
+                dailyScores.map((score, index) => (
+                  <View key={score.profileId} style={[styles.scoreRow, { borderBottomColor: theme.border }]}>
+                    <Text style={[styles.scoreRank, { color: theme.text }]}>#{index + 1}</Text>
+                    <View style={styles.scoreInfo}>
+                      <Text style={[styles.scoreName, { color: theme.text }]}>
+                        {score.name} • {getEntryScore(score, scoresGridSize)} pts
+                      </Text>
+                      <Text style={[styles.scoreDetails, { color: theme.text }]}>
+                        {score.moves} moves{score.par ? ` (par ${formatPar(score.par, score.parIsEstimate)})` : ''} • {formatEntryTime(score)}
+                      </Text>
+                    </View>
+                  </View>
+                ))
+              ) : (
+                <Text style={[styles.noScores, { color: theme.text }]}>
+                  Nobody has solved today's {selectedDifficulty} challenge yet
+                </Text>
+              )}
+              
+              <Text style={[styles.scoresHeading, { color: theme.text }]}>All Time</Text>
               {scores.length > 0 ? (
                 scores.map((score, index) => (
                   <View key={index} style={[styles.scoreRow, { borderBottomColor: theme.border }]}>
                     <Text style={[styles.scoreRank, { color: theme.text }]}>#{index + 1}</Text>
                     <View style={styles.scoreInfo}>
-                      <Text style={[styles.scoreName, { color: theme.text }]}>{score.name}</Text>
+                      <Text style={[styles.scoreName, { color: theme.text }]}>
+                        {score.name} • {getEntryScore(score, scoresGridSize)} pts
+                      </Text>
                       <Text style={[styles.scoreDetails, { color: theme.text }]}>
-                        {score.moves} moves • {score.timeRemaining}s left
+                        {score.moves} moves{score.par ? ` (par ${formatPar(score.par, score.parIsEstimate)})` : ''} • {formatEntryTime(score)}
+                        {score.hintsUsed ? ` • ${score.hintsUsed} hint${score.hintsUsed === 1 ? '' : 's'}` : ''}
                       </Text>
                       <Text style={[styles.scoreDate, { color: theme.text, opacity: 0.7 }]}>
-                        {score.date}
+                        {formatDate(score.date)}{score.seed ? ` • Seed ${score.seed}` : ''}
                       </Text>
                     </View>
-                  </View>
-                ))
+                    {score.replay && (
+                      <TouchableOpacity
+                        style={[styles.replayButton, { backgroundColor: theme.button }]}
+                        onPress={() => openReplay(score.replay)}
+                      >
+                        <Text style={[styles.replayButtonText, { color: theme.buttonText }]}>Replay</Text>
+                      </TouchableOpacity>
+                    )}
+                  </View>
+                ))
+              ) : (
+                <Text style={[styles.noScores, { color: theme.text }]}>
+                  No {getModeLabel(scoreMode)} {getRulesLabel(scoreRules)} high scores yet for {selectedDifficulty}
+                </Text>
+              )}
+            </ScrollView>
+            
+            <TouchableOpacity
+              style={[styles.button, { backgroundColor: theme.button }]}
+              onPress={() => setShowHighScores(false)}
+            >
+              <Text style={[styles.buttonText, { color: theme.buttonText }]}>Close</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </Modal>
+    );
+  };
+
+  // Render profiles modal
+  const renderProfilesModal = () => {
+    return (
+      <Modal
+        visible={showProfiles}
+        animationType="slide"
+        transparent={true}
+        onRequestClose={() => setShowProfiles(false)}
+      >
+        <View style={[styles.modalContainer, { backgroundColor: 'rgba(0,0,0,0.5)' }]}>
+          <View style={[styles.modalContent, { backgroundColor: theme.background }]}>
+            <Text style={[styles.modalTitle, { color: theme.text }]}>Players</Text>
+            
+            <ScrollView style={styles.scoresContainer}>
+              {profiles.list.length > 0 ? (
+                profiles.list.map((profile) => {
+                  const isActive = activeProfile && profile.id === activeProfile.id;
+                  return (
+                    <View key={profile.id} style={[styles.scoreRow, { borderBottomColor: theme.border }]}>
+                      <TouchableOpacity
+                        style={styles.scoreInfo}
+                        onPress={() => handleSwitchProfile(profile)}
+                      >
+                        <Text style={[styles.scoreName, { color: isActive ? theme.selectedTile : theme.text }]}>
+                          {profile.name}{isActive ? ' ✓' : ''}
+                        </Text>
+                        <Text style={[styles.scoreDate, { color: theme.text, opacity: 0.7 }]}>
+                          Since {formatDate(profile.createdAt)}
+                        </Text>
+                      </TouchableOpacity>
+                      <TouchableOpacity
+                        style={[styles.replayButton, { backgroundColor: '#ff4444' }]}
+                        onPress={() => handleDeleteProfile(profile)}
+                      >
+                        <Text style={[styles.replayButtonText, { color: '#ffffff' }]}>Delete</Text>
+                      </TouchableOpacity>
+                    </View>
+                  );
+                })
               ) : (
                 <Text style={[styles.noScores, { color: theme.text }]}>
-                  No high scores yet for {selectedDifficulty}
+                  No players yet. Add one below.
                 </Text>
               )}
             </ScrollView>
             
+            <TextInput
+              style={[styles.input, styles.seedInput, { backgroundColor: theme.input, color: theme.inputText }]}
+              placeholder="New player name"
+              placeholderTextColor={theme.placeholder}
+              value={newProfileName}
+              onChangeText={setNewProfileName}
+              maxLength={MAX_NAME_LENGTH}
+              onSubmitEditing={handleCreateProfile}
+            />
+            
+            <TouchableOpacity
+              style={[styles.controlButton, { backgroundColor: theme.selectedTile }]}
+              onPress={handleCreateProfile}
+            >
+              <Text style={[styles.buttonText, { color: theme.selectedText }]}>Add Player</Text>
+            </TouchableOpacity>
+            
             <TouchableOpacity
               style={[styles.button, { backgroundColor: theme.button }]}
-              onPress={() => setShowHighScores(false)}
+              onPress={() => setShowProfiles(false)}
             >
               <Text style={[styles.buttonText, { color: theme.buttonText }]}>Close</Text>
             </TouchableOpacity>
@@ -518,26 +1599,46 @@ const GridZenGame = () => {
     );
   };
 
+  // Render the daily challenge button for the selected size; daily
+  // challenges are always timed swap games
+  const renderDailyButton = () => {
+    if (!isTimed(gameMode) || rules !== DEFAULT_RULES) return null;
+    const dailyEntry = activeProfile
+      ? getDailyEntry(daily, getDateKey(), gridSize, activeProfile.id)
+      : null;
+    const streak = activeProfile ? getDailyStreak(daily, activeProfile.id) : 0;
+    let status = 'Not played yet today';
+    if (dailyEntry) {
+      status = dailyEntry.outcome === DAILY_OUTCOMES.win
+        ? `Solved in ${dailyEntry.moves} moves`
+        : 'Played today';
+    }
+    
+    return (
+      <TouchableOpacity
+        style={[styles.startButton, styles.dailyButton, { backgroundColor: theme.button }]}
+        onPress={startDailyChallenge}
+      >
+        <Text style={[styles.startButtonText, { color: theme.buttonText }]}>
+          Daily Challenge ({gridSize})
+        </Text>
+        <Text style={[styles.dailyStatus, { color: theme.buttonText }]}>
+          {status}{streak > 0 ? ` • ${streak} day streak` : ''}
+        </Text>
+      </TouchableOpacity>
+    );
+  };
+
   // Render menu
   const renderMenu = () => {
     return (
-      <View style={[styles.container, { backgroundColor: theme.background }]}>
+      <ScrollView
+        style={{ backgroundColor: theme.background }}
+        contentContainerStyle={styles.menuScroll}
+      >
         <Text style={[styles.title, { color: theme.text }]}>GridZen</Text>
         
         <View style={styles.controls}>
-          <View style={styles.controlRow}>
-            <Text style={[styles.controlLabel, { color: theme.text }]}>Dark Mode</Text>
-            <Switch
-              value={isDarkMode}
-              onValueChange={(value) => {
-                setIsDarkMode(value);
-                saveSettings();
-              }}
-              trackColor={{ false: '#767577', true: '#81b0ff' }}
-              thumbColor={isDarkMode ? '#f5dd4b' : '#f4f3f4'}
-            />
-          </View>
-          
           <TouchableOpacity
             style={[styles.controlButton, { backgroundColor: theme.button }]}
             onPress={() => setShowHighScores(true)}
@@ -545,44 +1646,115 @@ const GridZenGame = () => {
             <Text style={[styles.buttonText, { color: theme.buttonText }]}>View High Scores</Text>
           </TouchableOpacity>
           
-          <View style={styles.controlRow}>
-            <Text style={[styles.controlLabel, { color: theme.text }]}>
-              Sounds {soundEnabled ? '🔔' : '🔕'}
-            </Text>
-            <Switch
-              value={soundEnabled}
-              onValueChange={(value) => {
-                setSoundEnabled(value);
-                saveSettings();
-              }}
-              trackColor={{ false: '#767577', true: '#81b0ff' }}
-              thumbColor={soundEnabled ? '#f5dd4b' : '#f4f3f4'}
-            />
-          </View>
+          <TouchableOpacity
+            style={[styles.controlButton, { backgroundColor: theme.button }]}
+            onPress={() => setGameState('stats')}
+          >
+            <Text style={[styles.buttonText, { color: theme.buttonText }]}>View Stats</Text>
+          </TouchableOpacity>
+          
+          <TouchableOpacity
+            style={[styles.controlButton, { backgroundColor: theme.button }]}
+            onPress={() => setGameState('settings')}
+          >
+            <Text style={[styles.buttonText, { color: theme.buttonText }]}>Settings</Text>
+          </TouchableOpacity>
         </View>
         
         <View style={styles.menuContent}>
-          <Text style={[styles.instructions, { color: theme.text }]}>
-            Rearrange the tiles to place numbers in order from 1 to {gridSize * gridSize},
+          <Text style={[styles.instructions, { color: theme.text }, largeTextStyle(styles.instructions)]}>
+            Rearrange the tiles to place numbers in order from 1 to {getCellCount(boardSize)},
             reading left to right, top to bottom.
           </Text>
           
-          <Text style={[styles.instructions, { color: theme.text }]}>
-            You can only swap adjacent tiles (up-down, left-right).
+          <Text style={[styles.instructions, { color: theme.text }, largeTextStyle(styles.instructions)]}>
+            {getRules(rules).instructions}
           </Text>
           
+          <View style={[styles.profileBar, { backgroundColor: theme.input }]}>
+            <Text style={[styles.profileName, { color: theme.inputText }]}>
+              {activeProfile ? `Player: ${activeProfile.name}` : 'No player selected'}
+            </Text>
+            <TouchableOpacity
+              style={[styles.profileButton, { backgroundColor: theme.button }]}
+              onPress={() => setShowProfiles(true)}
+            >
+              <Text style={[styles.profileButtonText, { color: theme.buttonText }]}>
+                {activeProfile ? 'Switch' : 'Add Player'}
+              </Text>
+            </TouchableOpacity>
+          </View>
+          
           <TextInput
-            style={[styles.input, { backgroundColor: theme.input, color: theme.inputText }]}
-            placeholder="Enter your name"
-            placeholderTextColor={isDarkMode ? '#999' : '#666'}
-            value={playerName}
-            onChangeText={setPlayerName}
+            style={[styles.input, styles.seedInput, { backgroundColor: theme.input, color: theme.inputText }]}
+            placeholder="Seed (optional)"
+            placeholderTextColor={theme.placeholder}
+            value={seedInput}
+            onChangeText={(text) => setSeedInput(normalizeSeed(text))}
+            autoCapitalize="characters"
+            autoCorrect={false}
           />
           
+          <Text style={[styles.label, { color: theme.text }]}>Mode:</Text>
+          
+          <View style={styles.sizeButtons}>
+            {GAME_MODES.map(({ key, label }) => (
+              <TouchableOpacity
+                key={key}
+                style={[
+                  styles.sizeButton,
+                  {
+                    backgroundColor: gameMode === key ? theme.selectedTile : theme.button,
+                  },
+                ]}
+                onPress={() => updateSettings({ gameMode: key })}
+              >
+                <Text
+                  style={[
+                    styles.sizeButtonText,
+                    {
+                      color: gameMode === key ? theme.selectedText : theme.buttonText,
+                    },
+                  ]}
+                >
+                  {label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          
+          <Text style={[styles.label, { color: theme.text }]}>Rules:</Text>
+          
+          <View style={styles.sizeButtons}>
+            {RULE_SETS.map(({ key, label }) => (
+              <TouchableOpacity
+                key={key}
+                style={[
+                  styles.sizeButton,
+                  {
+                    backgroundColor: rules === key ? theme.selectedTile : theme.button,
+                  },
+                ]}
+                onPress={() => updateSettings({ rules: key })}
+              >
+                <Text
+                  style={[
+                    styles.sizeButtonText,
+                    {
+                      color: rules === key ? theme.selectedText : theme.buttonText,
+                    },
+                  ]}
+                >
+                  {label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          
           <Text style={[styles.label, { color: theme.text }]}>Select Grid Size:</Text>
           
           <View style={styles.sizeButtons}>
-            {[3, 4, 5, 6].map((size) => (
+            {SIZE_PRESETS.map((size) => (
               <TouchableOpacity
                 key={size}
                 style={[
@@ -591,67 +1763,222 @@ const GridZenGame = () => {
                     backgroundColor: gridSize === size ? theme.selectedTile : theme.button,
                   },
                 ]}
-                onPress={() => setGridSize(size)}
+                onPress={() => selectGridSize(size)}
               >
                 <Text
                   style={[
                     styles.sizeButtonText,
                     {
-                      color: gridSize === size ? '#ffffff' : theme.buttonText,
+                      color: gridSize === size ? theme.selectedText : theme.buttonText,
                     },
                   ]}
                 >
-                  {size}x{size}
+                  {size}
                 </Text>
               </TouchableOpacity>
             ))}
           </View>
           
+          <View style={styles.sizeSteppers}>
+            {[
+              { side: 'rows', label: 'Rows' },
+              { side: 'cols', label: 'Columns' },
+            ].map(({ side, label }) => (
+              <View key={side} style={styles.sizeStepper}>
+                <Text style={[styles.controlLabel, { color: theme.text }]}>{label}</Text>
+                <TouchableOpacity
+                  style={[styles.stepperButton, { backgroundColor: theme.button }]}
+                  onPress={() => selectGridSize(resizeSide(gridSize, side, -1))}
+                >
+                  <Text style={[styles.sizeButtonText, { color: theme.buttonText }]}>-</Text>
+                </TouchableOpacity>
+                <Text style={[styles.stepperValue, { color: theme.text }]}>{boardSize[side]}</Text>
+                <TouchableOpacity
+                  style={[styles.stepperButton, { backgroundColor: theme.button }]}
+                  onPress={() => selectGridSize(resizeSide(gridSize, side, 1))}
+                >
+                  <Text style={[styles.sizeButtonText, { color: theme.buttonText }]}>+</Text>
+                </TouchableOpacity>
+              </View>
+            ))}
+          </View>
+          
           <Text style={[styles.timeLimit, { color: theme.text }]}>
-            Time Limit: {getTimeLimit(gridSize)} seconds
+            {isTimed(gameMode)
+              ? `Time Limit: ${getRules(rules).getTimeLimit(boardSize)} seconds`
+              : 'Untimed: the clock counts up and never runs out'}
           </Text>
           
+          <Text style={[styles.label, { color: theme.text }]}>Hints Per Game:</Text>
+          
+          <View style={styles.sizeButtons}>
+            {HINT_BUDGET_OPTIONS.map((budget) => (
+              <TouchableOpacity
+                key={budget}
+                style={[
+                  styles.sizeButton,
+                  {
+                    backgroundColor: hintBudget === budget ? theme.selectedTile : theme.button,
+                  },
+                ]}
+                onPress={() => setHintBudget(budget)}
+              >
+                <Text
+                  style={[
+                    styles.sizeButtonText,
+                    {
+                      color: hintBudget === budget ? theme.selectedText : theme.buttonText,
+                    },
+                  ]}
+                >
+                  {budget}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          
+          {savedGame && activeProfile && savedGame.profileId === activeProfile.id && (
+            <TouchableOpacity
+              style={[styles.startButton, styles.resumeButton, { backgroundColor: theme.button }]}
+              onPress={resumeGame}
+            >
+              <Text style={[styles.startButtonText, { color: theme.buttonText }]}>
+                Resume Game ({getSizeKey(savedGame.gridSize)}
+                {savedGame.rules && savedGame.rules !== DEFAULT_RULES ? ` ${getRulesLabel(savedGame.rules)}` : ''}, {
+                  isTimed(savedGame.gameMode || DEFAULT_MODE)
+                    ? `${savedGame.timeLeft}s left`
+                    : `${getModeLabel(savedGame.gameMode)}, ${Math.floor(savedGame.timeElapsed)}s`
+                })
+              </Text>
+            </TouchableOpacity>
+          )}
+          
           <TouchableOpacity
             style={[styles.startButton, { backgroundColor: theme.selectedTile }]}
-            onPress={startGame}
+            onPress={() => startGame()}
           >
-            <Text style={[styles.startButtonText, { color: '#ffffff' }]}>Start Game</Text>
+            <Text style={[styles.startButtonText, { color: theme.selectedText }]}>Start Game</Text>
           </TouchableOpacity>
+          
+          {renderDailyButton()}
         </View>
         
         {renderHighScoresModal()}
-      </View>
+        {renderProfilesModal()}
+      </ScrollView>
     );
   };
 
   // Render game
   const renderGame = () => {
+    const drawColors = getDrawColors();
     return (
       <View style={[styles.container, { backgroundColor: theme.background }]}>
         <View style={styles.header}>
-          <Text style={[styles.headerText, { color: theme.text }]}>Moves: {moves}</Text>
-          <Text style={[styles.headerText, { color: theme.text }]}>Time: {timeLeft}s</Text>
+          <Text style={[styles.headerText, { color: theme.text }, largeTextStyle(styles.headerText)]}>Moves: {moves}</Text>
+          <Text style={[styles.headerText, { color: theme.text }, largeTextStyle(styles.headerText)]}>Par: {par ? formatPar(par.moves, !par.optimal) : '…'}</Text>
+          {settings.showTimer && (
+            <Text style={[styles.headerText, { color: theme.text }, largeTextStyle(styles.headerText)]}>
+              Time: {isTimed(gameMode) ? timeLeft : timeElapsed}s
+            </Text>
+          )}
         </View>
         
-        <View style={styles.gridContainer}>
-          {grid.map((row, rowIndex) => (
-            <View key={rowIndex} style={styles.row}>
-              {row.map((tile, colIndex) => renderTile(tile, rowIndex, colIndex))}
-            </View>
-          ))}
+        <Text style={[styles.seedText, { color: theme.text }, largeTextStyle(styles.seedText)]}>
+          {dailyDate ? `Daily Challenge • ${dailyDate}` : `Seed: ${seed}`}
+        </Text>
+        
+        {isEasyGame && !isPaused && (
+          <View style={styles.miniMap}>
+            {renderTargetGrid(MINI_MAP_WIDTH / Math.max(boardSize.rows, boardSize.cols) - 2)}
+          </View>
+        )}
+        
+        {isPaused ? (
+          <View style={styles.pausedContainer}>
+            <Text style={[styles.pausedText, { color: theme.text }, largeTextStyle(styles.pausedText)]}>Paused</Text>
+          </View>
+        ) : isPeeking ? (
+          <View style={styles.gridContainer}>
+            <Text style={[styles.peekLabel, { color: theme.text }, largeTextStyle(styles.peekLabel)]}>Target</Text>
+            {renderTargetGrid(tileSize)}
+          </View>
+        ) : (
+          <View style={styles.gridContainer}>
+            {grid.map((row, rowIndex) => (
+              <View key={rowIndex} style={styles.row}>
+                {row.map((tile, colIndex) => renderTile(tile, rowIndex, colIndex, drawColors))}
+              </View>
+            ))}
+          </View>
+        )}
+        
+        <TouchableOpacity
+          style={[styles.button, styles.pauseButton, { backgroundColor: theme.selectedTile }]}
+          onPress={() => setIsPaused(!isPaused)}
+        >
+          <Text style={[styles.buttonText, { color: theme.selectedText }, largeTextStyle(styles.buttonText)]}>{isPaused ? 'Resume' : 'Pause'}</Text>
+        </TouchableOpacity>
+        
+        <View style={styles.gameButtonRow}>
+          <TouchableOpacity
+            style={[
+              styles.button,
+              styles.historyButton,
+              { backgroundColor: theme.button, opacity: canUndo(history) ? 1 : 0.5 },
+            ]}
+            onPress={handleUndo}
+            disabled={!canUndo(history)}
+          >
+            <Text style={[styles.buttonText, { color: theme.buttonText }, largeTextStyle(styles.buttonText)]}>Undo</Text>
+          </TouchableOpacity>
+          
+          <TouchableOpacity
+            style={[
+              styles.button,
+              styles.historyButton,
+              { backgroundColor: theme.button, opacity: canRedo(history) ? 1 : 0.5 },
+            ]}
+            onPress={handleRedo}
+            disabled={!canRedo(history)}
+          >
+            <Text style={[styles.buttonText, { color: theme.buttonText }, largeTextStyle(styles.buttonText)]}>Redo</Text>
+          </TouchableOpacity>
         </View>
         
+        <TouchableOpacity
+          style={[
+            styles.button,
+            styles.hintButton,
+            { backgroundColor: theme.button, opacity: hintsUsed < hintBudget ? 1 : 0.5 },
+          ]}
+          onPress={handleHint}
+        >
+          <Text style={[styles.buttonText, { color: theme.buttonText }, largeTextStyle(styles.buttonText)]}>
+            Hint ({hintBudget - hintsUsed} left, +{HINT_MOVE_PENALTY} moves)
+          </Text>
+        </TouchableOpacity>
+        
+        {!isEasyGame && (
+          <TouchableOpacity
+            style={[
+              styles.button,
+              styles.hintButton,
+              { backgroundColor: theme.button, opacity: peeksUsed < PEEKS_PER_GAME && !isPeeking ? 1 : 0.5 },
+            ]}
+            onPress={handlePeek}
+          >
+            <Text style={[styles.buttonText, { color: theme.buttonText }, largeTextStyle(styles.buttonText)]}>
+              Peek ({PEEKS_PER_GAME - peeksUsed} left)
+            </Text>
+          </TouchableOpacity>
+        )}
+        
         <TouchableOpacity
           style={[styles.button, { backgroundColor: theme.button }]}
-          onPress={() => {
-            if (timerRef.current) {
-              clearTimeout(timerRef.current);
-            }
-            playSound('gameover');
-            setGameState('menu');
-          }}
+          onPress={handleGiveUp}
         >
-          <Text style={[styles.buttonText, { color: theme.buttonText }]}>Give Up</Text>
+          <Text style={[styles.buttonText, { color: theme.buttonText }, largeTextStyle(styles.buttonText)]}>Give Up</Text>
         </TouchableOpacity>
       </View>
     );
@@ -665,8 +1992,8 @@ const GridZenGame = () => {
           source={require('./assets/splash.png')} 
           style={{
             opacity: fadeAnim,
-            width: screenWidth,
-            height: screenHeight,
+            width: windowSize.width,
+            height: windowSize.height,
           }}
           resizeMode="contain"
         />
@@ -679,6 +2006,45 @@ const GridZenGame = () => {
     return renderSplash();
   }
   
+  if (gameState === 'stats') {
+    return (
+      <StatsScreen
+        records={gameLog.filter((record) => activeProfile && record.profileId === activeProfile.id)}
+        playerName={activeProfile ? activeProfile.name : 'No player selected'}
+        theme={theme}
+        onClose={() => setGameState('menu')}
+      />
+    );
+  }
+  
+  if (gameState === 'settings') {
+    return (
+      <SettingsScreen
+        settings={settings}
+        playerName={activeProfile ? activeProfile.name : 'No player selected'}
+        theme={theme}
+        onChange={updateSettings}
+        onReset={resetSettings}
+        onClose={() => setGameState('menu')}
+      />
+    );
+  }
+  
+  if (gameState === 'replay') {
+    return (
+      <ReplayScreen
+        replay={activeReplay}
+        theme={theme}
+        palette={tilePalette}
+        onClose={() => {
+          setActiveReplay(null);
+          setGameState('menu');
+          setShowHighScores(true);
+        }}
+      />
+    );
+  }
+  
   return gameState === 'menu' ? renderMenu() : renderGame();
 };
 
@@ -689,6 +2055,12 @@ const styles = StyleSheet.create({
     padding: 20,
     justifyContent: 'center',
   },
+  menuScroll: {
+    flexGrow: 1,
+    padding: 20,
+    paddingTop: 60,
+    justifyContent: 'center',
+  },
   title: {
     fontSize: 36,
     fontWeight: 'bold',
@@ -698,13 +2070,6 @@ const styles = StyleSheet.create({
   controls: {
     marginBottom: 20,
   },
-  controlRow: {
-    flexDirection: 'row',
-    justifyContent: 'space-between',
-    alignItems: 'center',
-    marginBottom: 15,
-    paddingHorizontal: 10,
-  },
   controlLabel: {
     fontSize: 16,
   },
@@ -730,12 +2095,40 @@ const styles = StyleSheet.create({
     marginTop: 20,
     marginBottom: 20,
   },
+  seedInput: {
+    marginTop: 0,
+  },
+  profileBar: {
+    width: '100%',
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    padding: 12,
+    borderRadius: 8,
+    marginTop: 20,
+    marginBottom: 20,
+  },
+  profileName: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  profileButton: {
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 6,
+  },
+  profileButtonText: {
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
   label: {
     fontSize: 18,
     marginBottom: 10,
   },
   sizeButtons: {
     flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'center',
     marginBottom: 20,
   },
   sizeButton: {
@@ -744,6 +2137,29 @@ const styles = StyleSheet.create({
     borderRadius: 8,
     minWidth: 60,
   },
+  sizeSteppers: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'center',
+    marginBottom: 20,
+  },
+  sizeStepper: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginHorizontal: 10,
+  },
+  stepperButton: {
+    paddingVertical: 5,
+    paddingHorizontal: 15,
+    marginHorizontal: 8,
+    borderRadius: 8,
+  },
+  stepperValue: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    minWidth: 20,
+    textAlign: 'center',
+  },
   sizeButtonText: {
     fontSize: 16,
     fontWeight: 'bold',
@@ -758,6 +2174,17 @@ const styles = StyleSheet.create({
     borderRadius: 8,
     minWidth: 200,
   },
+  resumeButton: {
+    marginBottom: 10,
+  },
+  dailyButton: {
+    marginTop: 10,
+  },
+  dailyStatus: {
+    fontSize: 13,
+    textAlign: 'center',
+    marginTop: 4,
+  },
   startButtonText: {
     fontSize: 18,
     fontWeight: 'bold',
@@ -772,6 +2199,12 @@ const styles = StyleSheet.create({
     fontSize: 20,
     fontWeight: 'bold',
   },
+  seedText: {
+    fontSize: 14,
+    textAlign: 'center',
+    opacity: 0.7,
+    marginBottom: 20,
+  },
   gridContainer: {
     alignItems: 'center',
     marginBottom: 30,
@@ -779,8 +2212,18 @@ const styles = StyleSheet.create({
   row: {
     flexDirection: 'row',
   },
+  pausedContainer: {
+    height: 200,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginBottom: 30,
+  },
+  pausedText: {
+    fontSize: 28,
+    fontWeight: 'bold',
+  },
   tile: {
-    margin: 5,
+    margin: TILE_MARGIN,
     justifyContent: 'center',
     alignItems: 'center',
     borderRadius: 8,
@@ -794,12 +2237,51 @@ const styles = StyleSheet.create({
     fontSize: 24,
     fontWeight: 'bold',
   },
+  miniMap: {
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  peekLabel: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    textAlign: 'center',
+    marginBottom: 5,
+  },
+  selectedMarker: {
+    position: 'absolute',
+    top: 3,
+    right: 3,
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+    borderWidth: 2,
+  },
+  anchorDot: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+  },
   button: {
     padding: 15,
     borderRadius: 8,
     alignSelf: 'center',
     minWidth: 150,
   },
+  hintButton: {
+    marginBottom: 15,
+  },
+  pauseButton: {
+    marginBottom: 15,
+  },
+  gameButtonRow: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    marginBottom: 15,
+  },
+  historyButton: {
+    minWidth: 120,
+    marginHorizontal: 5,
+  },
   buttonText: {
     fontSize: 16,
     fontWeight: 'bold',
@@ -838,10 +2320,33 @@ const styles = StyleSheet.create({
     marginBottom: 20,
     overflow: 'hidden',
   },
+  sortButtons: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'center',
+    marginBottom: 10,
+  },
+  sortButton: {
+    paddingVertical: 8,
+    paddingHorizontal: 14,
+    marginHorizontal: 4,
+    marginBottom: 4,
+    borderRadius: 6,
+  },
+  sortButtonText: {
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
   scoresContainer: {
     maxHeight: 300,
     marginBottom: 20,
   },
+  scoresHeading: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginTop: 10,
+    marginBottom: 5,
+  },
   scoreRow: {
     flexDirection: 'row',
     paddingVertical: 12,
@@ -868,6 +2373,16 @@ const styles = StyleSheet.create({
     fontSize: 12,
     marginTop: 2,
   },
+  replayButton: {
+    alignSelf: 'center',
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 6,
+  },
+  replayButtonText: {
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
   noScores: {
     fontSize: 16,
     textAlign: 'center',
@@ -0,0 +1,48 @@
+import { EXPORT_FORMAT, EXPORT_VERSION, parseExport } from '../backup';
+import { createReplay } from '../replay';
+
+// Backups share storage's checks, which brings in AsyncStorage
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+const replay = createReplay({
+  seed: 'BACKUP',
+  gridSize: { rows: 3, cols: 3 },
+  rules: 'swap',
+  startNumbers: [2, 1, 3, 4, 5, 6, 7, 8, 9],
+  actions: [{ from: { row: 0, col: 0 }, to: { row: 0, col: 1 }, time: 500 }],
+  startTime: 0,
+  result: { outcome: 'won', moves: 1, timeRemaining: 29.5 },
+});
+
+const exportText = (highScores) =>
+  JSON.stringify({ format: EXPORT_FORMAT, version: EXPORT_VERSION, profiles: [], highScores, gameLog: [] });
+
+const entry = (extra) => ({ name: 'Ann', moves: 1, timeRemaining: 29.5, ...extra });
+
+describe('parseExport', () => {
+  it('keeps scores but drops replays that can\'t be played back', () => {
+    const { data } = parseExport(exportText({
+      '3x3': [
+        entry({ replay }),
+        entry({ replay: { ...replay, steps: [[0, 42, 10]] } }),
+        entry({ replay: 'not a replay' }),
+        entry(),
+      ],
+    }));
+    const [kept, ...dropped] = data.highScores['3x3'];
+    expect(kept.replay).toEqual(replay);
+    dropped.forEach((score) => {
+      expect(score).not.toHaveProperty('replay');
+      expect(score.name).toBe('Ann');
+    });
+  });
+
+  it('rejects files that aren\'t a readable export', () => {
+    expect(parseExport('{').error).toMatch(/not valid JSON/);
+    expect(parseExport('{}').error).toMatch(/not a GridZen export/);
+    expect(parseExport(exportText({ '3x3': [{ name: 'Ann' }] })).error).toMatch(/damaged/);
+    expect(parseExport(exportText({ nonsense: [] })).error).toMatch(/damaged/);
+  });
+});
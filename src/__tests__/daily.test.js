@@ -0,0 +1,63 @@
+import {
+  DAILY_OUTCOMES,
+  getDailyEntry,
+  getDailyLeaderboard,
+  getDailySeed,
+  getDailyStreak,
+  getDateKey,
+  saveDailyEntry,
+} from '../daily';
+
+const SIZE = '3x3';
+
+// Daily results with a win for the player on each of the given days
+const winsOn = (dateKeys, profileId = 'ann') =>
+  dateKeys.reduce(
+    (daily, dateKey) => saveDailyEntry(daily, dateKey, SIZE, { profileId, outcome: DAILY_OUTCOMES.win, moves: 10 }),
+    {}
+  );
+
+describe('daily challenge', () => {
+  it('gives every device the same seed for a day and size', () => {
+    expect(getDateKey(new Date(2024, 0, 5))).toBe('2024-01-05');
+    expect(getDailySeed('2024-01-05', SIZE)).toBe(getDailySeed('2024-01-05', { rows: 3, cols: 3 }));
+    expect(getDailySeed('2024-01-05', SIZE)).not.toBe(getDailySeed('2024-01-06', SIZE));
+    expect(getDailySeed('2024-01-05', SIZE)).not.toBe(getDailySeed('2024-01-05', '4x4'));
+  });
+
+  it('records one attempt per player, day and size', () => {
+    let daily = saveDailyEntry({}, '2024-01-05', SIZE, { profileId: 'ann', outcome: DAILY_OUTCOMES.started });
+    expect(getDailyEntry(daily, '2024-01-05', SIZE, 'ann').outcome).toBe(DAILY_OUTCOMES.started);
+    expect(getDailyEntry(daily, '2024-01-05', '4x4', 'ann')).toBeNull();
+    expect(getDailyEntry(daily, '2024-01-06', SIZE, 'ann')).toBeNull();
+    expect(getDailyEntry(daily, '2024-01-05', SIZE, 'bob')).toBeNull();
+
+    // Finishing replaces the started entry rather than adding another
+    daily = saveDailyEntry(daily, '2024-01-05', SIZE, { profileId: 'ann', outcome: DAILY_OUTCOMES.win, moves: 9 });
+    expect(daily['2024-01-05'][SIZE]).toHaveLength(1);
+    expect(getDailyLeaderboard(daily, '2024-01-05', SIZE).map(({ moves }) => moves)).toEqual([9]);
+  });
+});
+
+describe('getDailyStreak', () => {
+  it('counts back across the ends of months and years', () => {
+    const daily = winsOn(['2023-12-30', '2023-12-31', '2024-01-01', '2024-02-28', '2024-02-29', '2024-03-01']);
+    expect(getDailyStreak(daily, 'ann', '2024-01-01')).toBe(3);
+    expect(getDailyStreak(daily, 'ann', '2024-03-01')).toBe(3);
+  });
+
+  it('keeps a streak going until a whole day passes without a win', () => {
+    const daily = winsOn(['2024-05-30', '2024-05-31']);
+    expect(getDailyStreak(daily, 'ann', '2024-06-01')).toBe(2);
+    expect(getDailyStreak(daily, 'ann', '2024-06-02')).toBe(0);
+  });
+
+  it('only counts wins by the player', () => {
+    const daily = saveDailyEntry(winsOn(['2024-05-31'], 'bob'), '2024-06-01', SIZE, {
+      profileId: 'ann',
+      outcome: DAILY_OUTCOMES.loss,
+    });
+    expect(getDailyStreak(daily, 'ann', '2024-06-01')).toBe(0);
+    expect(getDailyStreak(daily, 'bob', '2024-06-01')).toBe(1);
+  });
+});
@@ -0,0 +1,167 @@
+import {
+  applySwap,
+  buildGrid,
+  checkWin,
+  createBoard,
+  deserializeState,
+  getMinSwapDistance,
+  getTimeLimit,
+  gridToNumbers,
+  isValidMove,
+  serializeState,
+  swapDistance,
+} from '../engine';
+import { createHistory, recordMove } from '../history';
+
+const SIZE_3 = { rows: 3, cols: 3 };
+
+const solvedGrid = (size) => {
+  const count = size.rows * size.cols;
+  const numbers = Array.from({ length: count }, (_, i) => i + 1);
+  const colors = numbers.map((number) => `c${number}`);
+  return buildGrid(numbers, size, colors);
+};
+
+describe('createBoard', () => {
+  it('makes the same board from the same seed and size', () => {
+    const first = createBoard(SIZE_3, 'ABC123');
+    const second = createBoard(SIZE_3, 'abc123 ');
+    expect(gridToNumbers(second.grid)).toEqual(gridToNumbers(first.grid));
+    expect(second.colors).toEqual(first.colors);
+    expect(second.seed).toBe('ABC123');
+  });
+
+  it('makes different boards from different seeds', () => {
+    const first = createBoard(SIZE_3, 'SEED01');
+    const second = createBoard(SIZE_3, 'SEED02');
+    expect(gridToNumbers(second.grid)).not.toEqual(gridToNumbers(first.grid));
+  });
+
+  it('shuffles every tile of the target in, far enough from solved', () => {
+    const size = { rows: 3, cols: 5 };
+    const { grid, targetGrid } = createBoard(size, 'WIDE01');
+    const numbers = gridToNumbers(grid);
+    expect([...numbers].sort((a, b) => a - b)).toEqual(gridToNumbers(targetGrid));
+    expect(swapDistance(numbers, size)).toBeGreaterThanOrEqual(getMinSwapDistance(size));
+  });
+});
+
+describe('isValidMove', () => {
+  const grid = solvedGrid(SIZE_3);
+
+  it('allows swaps between neighbouring cells', () => {
+    expect(isValidMove(grid, { row: 0, col: 0 }, { row: 0, col: 1 })).toBe(true);
+    expect(isValidMove(grid, { row: 1, col: 1 }, { row: 2, col: 1 })).toBe(true);
+  });
+
+  it('rejects diagonal, distant and same-cell moves', () => {
+    expect(isValidMove(grid, { row: 0, col: 0 }, { row: 1, col: 1 })).toBe(false);
+    expect(isValidMove(grid, { row: 0, col: 0 }, { row: 0, col: 2 })).toBe(false);
+    expect(isValidMove(grid, { row: 1, col: 1 }, { row: 1, col: 1 })).toBe(false);
+  });
+
+  it('rejects cells off the board', () => {
+    expect(isValidMove(grid, { row: 0, col: 2 }, { row: 0, col: 3 })).toBe(false);
+    expect(isValidMove(grid, { row: -1, col: 0 }, { row: 0, col: 0 })).toBe(false);
+  });
+});
+
+describe('applySwap', () => {
+  it('swaps two tiles without changing the original grid', () => {
+    const grid = solvedGrid(SIZE_3);
+    const before = JSON.stringify(grid);
+    const swapped = applySwap(grid, { row: 0, col: 0 }, { row: 0, col: 1 });
+
+    expect(JSON.stringify(grid)).toBe(before);
+    expect(swapped).not.toBe(grid);
+    expect(swapped[0][0].number).toBe(2);
+    expect(swapped[0][1].number).toBe(1);
+    // Untouched rows are copied too, so no row is shared with the original
+    expect(swapped[2]).not.toBe(grid[2]);
+    expect(swapped[2]).toEqual(grid[2]);
+  });
+});
+
+describe('checkWin', () => {
+  it('is won when the numbers are in order', () => {
+    expect(checkWin(solvedGrid(SIZE_3))).toBe(true);
+  });
+
+  it('is not won with any tile out of place', () => {
+    const grid = applySwap(solvedGrid(SIZE_3), { row: 2, col: 1 }, { row: 2, col: 2 });
+    expect(checkWin(grid)).toBe(false);
+  });
+
+  it('compares against the target grid when given one', () => {
+    const target = applySwap(solvedGrid(SIZE_3), { row: 0, col: 0 }, { row: 0, col: 1 });
+    expect(checkWin(target, target)).toBe(true);
+    expect(checkWin(solvedGrid(SIZE_3), target)).toBe(false);
+  });
+});
+
+describe('getTimeLimit', () => {
+  it('keeps the original limits for 3x3 to 6x6', () => {
+    expect([3, 4, 5, 6].map((side) => getTimeLimit({ rows: side, cols: side }))).toEqual([30, 60, 90, 120]);
+  });
+
+  it('extends the same formula to other sizes, rounded to 5 seconds', () => {
+    expect(getTimeLimit({ rows: 8, cols: 8 })).toBe(180);
+    // As long as a square with 15 tiles would get
+    expect(getTimeLimit({ rows: 3, cols: 5 })).toBe(55);
+  });
+});
+
+describe('serializeState / deserializeState', () => {
+  it('restores the board and any extra fields', () => {
+    const { grid } = createBoard({ rows: 4, cols: 4 }, 'SAVE01');
+    const history = recordMove(createHistory(), { from: { row: 0, col: 0 }, to: { row: 0, col: 1 } }, 100);
+    const game = {
+      seed: 'SAVE01',
+      gridSize: '4x4',
+      grid,
+      moves: 7,
+      timeLeft: 42.5,
+      hintsUsed: 1,
+      history,
+    };
+
+    const restored = deserializeState(serializeState(game));
+    expect(restored.grid).toEqual(grid);
+    expect(checkWin(restored.targetGrid)).toBe(true);
+    expect(restored).toMatchObject({
+      seed: 'SAVE01',
+      gridSize: '4x4',
+      moves: 7,
+      timeLeft: 42.5,
+      hintsUsed: 1,
+      history,
+    });
+  });
+
+  it('returns null for malformed saves', () => {
+    expect(deserializeState('not json')).toBeNull();
+    expect(deserializeState(JSON.stringify({ gridSize: '3x3', numbers: [1, 2], colors: [] }))).toBeNull();
+    expect(deserializeState(JSON.stringify({ gridSize: '9x9', numbers: [], colors: [] }))).toBeNull();
+  });
+
+  it('returns null when any part of a save is damaged', () => {
+    const { grid } = createBoard(SIZE_3, 'SAVE02');
+    const game = { seed: 'SAVE02', gridSize: '3x3', grid, moves: 3, timeLeft: 12.5, history: createHistory() };
+    const saved = JSON.parse(serializeState(game));
+    const damage = (changes) => deserializeState(JSON.stringify({ ...saved, ...changes }));
+
+    expect(damage({})).not.toBeNull();
+    expect(damage({ timeLeft: null, timeElapsed: 40 })).not.toBeNull();
+    [
+      { numbers: [1, 1, 3, 4, 5, 6, 7, 8, 9] },
+      { numbers: [0, 2, 3, 4, 5, 6, 7, 8, 9] },
+      { history: undefined },
+      { history: { past: [], future: [] } },
+      { history: { past: [{ from: { row: 0, col: 0 }, to: { row: 3, col: 0 } }], future: [], actions: [] } },
+      { moves: -1 },
+      { moves: '3' },
+      { timeLeft: 'soon' },
+      { timeLeft: null },
+    ].forEach((changes) => expect(damage(changes)).toBeNull());
+  });
+});
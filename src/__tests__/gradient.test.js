@@ -0,0 +1,53 @@
+import { gridToNumbers } from '../engine';
+import { createGradientBoard, getGradientColors, isAnchor } from '../gradient';
+
+const SIZES = [{ rows: 3, cols: 3 }, { rows: 4, cols: 5 }, { rows: 6, cols: 6 }];
+
+const corners = ({ rows, cols }) => [0, cols - 1, (rows - 1) * cols, rows * cols - 1];
+
+describe('getGradientColors', () => {
+  it('gives the same colors for the same seed', () => {
+    const size = { rows: 4, cols: 4 };
+    expect(getGradientColors(size, 'GRAD01')).toEqual(getGradientColors(size, 'GRAD01'));
+    expect(getGradientColors(size, 'GRAD01')).not.toEqual(getGradientColors(size, 'GRAD02'));
+  });
+
+  it('gives every cell a distinct color', () => {
+    SIZES.forEach((size) => {
+      const colors = getGradientColors(size, 'GRAD03');
+      expect(new Set(colors).size).toBe(size.rows * size.cols);
+    });
+  });
+});
+
+describe('isAnchor', () => {
+  it('marks only the corner tiles', () => {
+    const size = { rows: 3, cols: 4 };
+    const anchors = Array.from({ length: 12 }, (_, i) => i + 1)
+      .filter((number) => isAnchor({ number }, size));
+    expect(anchors).toEqual(corners(size).map((index) => index + 1));
+  });
+});
+
+describe('createGradientBoard', () => {
+  it('keeps the anchors in their corners and shuffles the rest', () => {
+    SIZES.forEach((size) => {
+      const board = createGradientBoard(size, 'GRAD04');
+      const numbers = gridToNumbers(board.grid);
+      corners(size).forEach((index) => expect(numbers[index]).toBe(index + 1));
+
+      // At least half the free tiles start out of place
+      const free = numbers.length - 4;
+      const misplaced = numbers.filter((number, index) => number !== index + 1).length;
+      expect(misplaced).toBeGreaterThanOrEqual(Math.ceil(free / 2));
+    });
+  });
+
+  it('colors each tile for the cell it belongs in', () => {
+    const size = { rows: 4, cols: 4 };
+    const board = createGradientBoard(size, 'GRAD05');
+    const colors = getGradientColors(size, 'GRAD05');
+    board.grid.flat().forEach((tile) => expect(tile.color).toBe(colors[tile.number - 1]));
+    expect(gridToNumbers(board.targetGrid)).toEqual(Array.from({ length: 16 }, (_, i) => i + 1));
+  });
+});
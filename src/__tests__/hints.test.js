@@ -0,0 +1,83 @@
+import { applySwap, checkWin, createBoard } from '../engine';
+import { createSolution, findPar, followSolution, getHint } from '../hints';
+import { getRules } from '../rules';
+import { createSlidingBoard, findBlank } from '../sliding';
+
+const SIZE = { rows: 3, cols: 3 };
+
+describe('getHint', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('follows the kept solution without solving again', () => {
+    const { grid } = createBoard(SIZE, 'HINT01');
+    const solution = createSolution(grid, 'swap');
+    const solve = jest.spyOn(getRules('swap'), 'solve');
+
+    const first = getHint(grid, 'swap', {}, solution);
+    expect(first.hint).toEqual(solution.moves[0]);
+
+    const played = applySwap(grid, first.hint.from, first.hint.to);
+    const second = getHint(played, 'swap', {}, first.solution);
+    expect(second.hint).toEqual(solution.moves[1]);
+    expect(solve).not.toHaveBeenCalled();
+  });
+
+  it('solves again once the board leaves the solution', () => {
+    const { grid } = createBoard(SIZE, 'HINT02');
+    const solution = createSolution(grid, 'swap');
+    // Any first swap but the hinted one leaves a shortest solution's path
+    const hinted = applySwap(grid, solution.moves[0].from, solution.moves[0].to);
+    const offPath = [
+      applySwap(grid, { row: 0, col: 0 }, { row: 0, col: 1 }),
+      applySwap(grid, { row: 0, col: 0 }, { row: 1, col: 0 }),
+    ].find((candidate) => JSON.stringify(candidate) !== JSON.stringify(hinted));
+    expect(followSolution(solution, offPath, 'swap')).toBeNull();
+
+    const solve = jest.spyOn(getRules('swap'), 'solve');
+    const { hint, solution: next } = getHint(offPath, 'swap', {}, solution);
+    expect(solve).toHaveBeenCalledTimes(1);
+    expect(hint).toEqual(next.moves[0]);
+  });
+
+  it('leads to a solved board when every hint is taken', () => {
+    let { grid } = createBoard(SIZE, 'HINT03');
+    let solution = createSolution(grid, 'swap');
+    for (;;) {
+      const result = getHint(grid, 'swap', {}, solution);
+      if (!result.hint) break;
+      grid = applySwap(grid, result.hint.from, result.hint.to);
+      solution = result.solution;
+    }
+    expect(checkWin(grid)).toBe(true);
+  });
+
+  it('asks rule sets without a solver directly', () => {
+    const board = getRules('rotate').createBoard(SIZE, 'HINT04');
+    expect(createSolution(board.grid, 'rotate')).toBeNull();
+    const { hint, solution } = getHint(board.grid, 'rotate', { seed: 'HINT04', moves: [] });
+    expect(hint).not.toBeNull();
+    expect(solution).toBeNull();
+  });
+
+  it('moves a tile into the blank under sliding rules', () => {
+    const { grid } = createSlidingBoard(SIZE, 'HINT05');
+    const { hint } = getHint(grid, 'sliding', {});
+    expect(hint.to).toEqual(findBlank(grid));
+  });
+});
+
+describe('findPar', () => {
+  it('takes par from the solution hints will follow', () => {
+    const board = createBoard(SIZE, 'PAR010');
+    const { par, solution } = findPar(board, 'swap');
+    expect(par).toEqual({ moves: solution.moves.length, optimal: true, minMoves: solution.moves.length });
+    expect(solution.grid).toBe(board.grid);
+  });
+
+  it('marks par as an estimate when the solver gives up on the fewest moves', () => {
+    const board = createBoard({ rows: 5, cols: 5 }, 'PAR011');
+    const { par } = findPar(board, 'swap');
+    expect(par.optimal).toBe(false);
+    expect(par.minMoves).toBeLessThanOrEqual(par.moves);
+  });
+});
@@ -0,0 +1,56 @@
+import {
+  canRedo,
+  canUndo,
+  createHistory,
+  recordMove,
+  redoMove,
+  undoMove,
+} from '../history';
+
+const A = { from: { row: 0, col: 0 }, to: { row: 0, col: 1 } };
+const B = { from: { row: 1, col: 1 }, to: { row: 2, col: 1 } };
+
+describe('history', () => {
+  it('undoes with the reversing move and redoes the original', () => {
+    let history = recordMove(createHistory(), A, 100);
+    expect(canUndo(history)).toBe(true);
+    expect(canRedo(history)).toBe(false);
+
+    const undone = undoMove(history, 200);
+    expect(undone.swap).toEqual({ from: A.to, to: A.from });
+    history = undone.history;
+    expect(canUndo(history)).toBe(false);
+    expect(canRedo(history)).toBe(true);
+
+    const redone = redoMove(history, 300);
+    expect(redone.swap).toEqual(A);
+    expect(redone.history.past).toEqual([A]);
+    expect(redone.history.future).toEqual([]);
+  });
+
+  it('drops the redo stack when a new move is made', () => {
+    const { history } = undoMove(recordMove(createHistory(), A, 100), 200);
+    const moved = recordMove(history, B, 300);
+    expect(canRedo(moved)).toBe(false);
+    expect(moved.past).toEqual([B]);
+  });
+
+  it('logs every move, undo and redo in order with its time', () => {
+    let history = recordMove(createHistory(), A, 100);
+    history = undoMove(history, 200).history;
+    history = redoMove(history, 300).history;
+    expect(history.actions).toEqual([
+      { type: 'move', ...A, time: 100 },
+      { type: 'undo', from: A.to, to: A.from, time: 200 },
+      { type: 'redo', ...A, time: 300 },
+    ]);
+  });
+
+  it('leaves the history it was given unchanged', () => {
+    const history = recordMove(createHistory(), A, 100);
+    const snapshot = JSON.stringify(history);
+    recordMove(history, B, 200);
+    undoMove(history, 200);
+    expect(JSON.stringify(history)).toBe(snapshot);
+  });
+});
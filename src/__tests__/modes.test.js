@@ -0,0 +1,32 @@
+import { GAME_MODES, getScoreKey, isTimed, parseScoreKey } from '../modes';
+import { RULE_SETS } from '../rules';
+
+describe('getScoreKey', () => {
+  it('keeps the original keys for timed swap games', () => {
+    expect(getScoreKey('timed', '3x3', 'swap')).toBe('3x3');
+    expect(getScoreKey('timed', { rows: 4, cols: 5 })).toBe('4x5');
+    expect(getScoreKey('zen', '3x3', 'swap')).toBe('zen-3x3');
+    expect(getScoreKey('zen', '4x4', 'sliding')).toBe('zen-sliding-4x4');
+  });
+
+  it('reads back every mode, size and rule set it writes', () => {
+    GAME_MODES.forEach(({ key: mode }) => {
+      RULE_SETS.forEach(({ key: rules }) => {
+        ['3x3', '4x6', '8x8'].forEach((gridSize) => {
+          expect(parseScoreKey(getScoreKey(mode, gridSize, rules))).toEqual({ mode, gridSize, rules });
+        });
+      });
+    });
+  });
+
+  it('rejects keys that are not leaderboards', () => {
+    ['', 'zen', 'zen-swap', 'hard-3x3', 'zen-zen-3x3', 'sliding-zen-3x3', '3x3-zen', 'abc'].forEach((key) => {
+      expect(parseScoreKey(key)).toBeNull();
+    });
+  });
+});
+
+it('only times games outside Zen mode', () => {
+  expect(isTimed('timed')).toBe(true);
+  expect(isTimed('zen')).toBe(false);
+});
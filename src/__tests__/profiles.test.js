@@ -0,0 +1,74 @@
+import {
+  MAX_NAME_LENGTH,
+  addProfile,
+  createProfile,
+  createProfiles,
+  getActiveProfile,
+  isNameTaken,
+  removeProfile,
+  switchProfile,
+  updateProfileSettings,
+} from '../profiles';
+import { DEFAULT_SETTINGS } from '../settings';
+
+// Profiles for Ann, Bob and Cy, with Cy active
+const createThree = () => {
+  const ann = createProfile('Ann');
+  const bob = createProfile('Bob');
+  const cy = createProfile('Cy');
+  return [ann, bob, cy].reduce(addProfile, createProfiles());
+};
+
+describe('createProfile', () => {
+  it('trims the name and starts from the default settings', () => {
+    const profile = createProfile(`  ${'x'.repeat(MAX_NAME_LENGTH + 5)}  `, { soundOn: false });
+    expect(profile.name).toHaveLength(MAX_NAME_LENGTH);
+    expect(profile.settings).toEqual({ ...DEFAULT_SETTINGS, soundOn: false });
+    expect(createProfile('Ann').id).not.toBe(profile.id);
+  });
+});
+
+describe('isNameTaken', () => {
+  it('ignores case and surrounding spaces', () => {
+    const profiles = createThree();
+    expect(isNameTaken(profiles, 'ann')).toBe(true);
+    expect(isNameTaken(profiles, '  BOB ')).toBe(true);
+    expect(isNameTaken(profiles, 'Dee')).toBe(false);
+    expect(isNameTaken(createProfiles(), 'Ann')).toBe(false);
+  });
+});
+
+describe('removeProfile', () => {
+  it('hands over to the first remaining profile when the active one goes', () => {
+    const profiles = createThree();
+    const [ann, , cy] = profiles.list;
+    const removed = removeProfile(profiles, cy.id);
+    expect(removed.list).toHaveLength(2);
+    expect(getActiveProfile(removed)).toBe(ann);
+  });
+
+  it('keeps the active profile when another one goes', () => {
+    const profiles = createThree();
+    const [ann, bob] = profiles.list;
+    const removed = removeProfile(switchProfile(profiles, bob.id), ann.id);
+    expect(getActiveProfile(removed)).toBe(bob);
+  });
+
+  it('leaves no active profile once the last one goes', () => {
+    const profile = createProfile('Ann');
+    const removed = removeProfile(addProfile(createProfiles(), profile), profile.id);
+    expect(removed).toEqual(createProfiles());
+    expect(getActiveProfile(removed)).toBeNull();
+  });
+});
+
+describe('updateProfileSettings', () => {
+  it('changes only the given profile', () => {
+    const profiles = createThree();
+    const [ann, bob] = profiles.list;
+    const updated = updateProfileSettings(profiles, ann.id, { volume: 0.5 });
+    expect(updated.list[0].settings.volume).toBe(0.5);
+    expect(updated.list[1]).toBe(bob);
+    expect(updated.activeId).toBe(profiles.activeId);
+  });
+});
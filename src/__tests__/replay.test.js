@@ -0,0 +1,49 @@
+import { createBoard, gridToNumbers } from '../engine';
+import { createReplay, getReplayFrames, isValidReplay } from '../replay';
+
+const SIZE = { rows: 3, cols: 3 };
+
+const makeReplay = () => {
+  const startNumbers = gridToNumbers(createBoard(SIZE, 'REPLAY').grid);
+  return createReplay({
+    seed: 'REPLAY',
+    gridSize: SIZE,
+    rules: 'swap',
+    startNumbers,
+    actions: [
+      { from: { row: 0, col: 0 }, to: { row: 0, col: 1 }, time: 1200 },
+      { from: { row: 2, col: 1 }, to: { row: 2, col: 2 }, time: 2500 },
+    ],
+    startTime: 1000,
+    result: { outcome: 'won', moves: 2, timeTaken: 1.5 },
+  });
+};
+
+describe('replays', () => {
+  it('record each swap as cell indices and time since the start', () => {
+    const replay = makeReplay();
+    expect(replay.size).toBe('3x3');
+    expect(replay.steps).toEqual([[0, 1, 200], [7, 8, 1500]]);
+    expect(isValidReplay(replay)).toBe(true);
+
+    const frames = getReplayFrames(replay);
+    expect(frames).toHaveLength(3);
+    const [first, second] = replay.board;
+    expect(frames[1].slice(0, 2)).toEqual([second, first]);
+  });
+
+  it('rejects replays that can\'t be played back', () => {
+    const replay = makeReplay();
+    [
+      null,
+      'replay',
+      { ...replay, v: 2 },
+      { ...replay, size: '2x9' },
+      { ...replay, board: replay.board.slice(1) },
+      { ...replay, board: replay.board.map(() => 1) },
+      { ...replay, steps: [[0, 9, 100]] },
+      { ...replay, steps: [[0, 1]] },
+      { ...replay, steps: null },
+    ].forEach((damaged) => expect(isValidReplay(damaged)).toBe(false));
+  });
+});
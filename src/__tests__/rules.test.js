@@ -0,0 +1,119 @@
+import { applySwap, checkWin, createBoard, gridToNumbers } from '../engine';
+import { getRules } from '../rules';
+
+const SIZE = { rows: 3, cols: 3 };
+
+// Take every move of a rule set's solution, checking each is allowed
+const playSolution = (grid, rules) => {
+  const { solve, isValidMove, applyMove } = getRules(rules);
+  return solve(grid).moves.reduce((current, { from, to }) => {
+    expect(isValidMove(current, from, to)).toBe(true);
+    return applyMove(current, from, to);
+  }, grid);
+};
+
+describe('diagonal rules', () => {
+  const { isValidMove } = getRules('diagonal');
+
+  it('allow swaps with any touching tile', () => {
+    const { grid } = createBoard(SIZE, 'DIAG01');
+    const center = { row: 1, col: 1 };
+    expect(isValidMove(grid, center, { row: 0, col: 0 })).toBe(true);
+    expect(isValidMove(grid, center, { row: 2, col: 1 })).toBe(true);
+    expect(isValidMove(grid, { row: 0, col: 0 }, { row: 2, col: 2 })).toBe(false);
+    expect(isValidMove(grid, center, center)).toBe(false);
+    expect(isValidMove(grid, { row: 2, col: 2 }, { row: 3, col: 3 })).toBe(false);
+  });
+
+  it('solve boards in no more moves than adjacent swaps', () => {
+    ['DIAG02', 'DIAG03'].forEach((seed) => {
+      const board = createBoard(SIZE, seed);
+      expect(checkWin(playSolution(board.grid, 'diagonal'))).toBe(true);
+      expect(getRules('diagonal').solve(board.grid).moves.length).toBeLessThanOrEqual(getRules('swap').solve(board.grid).moves.length);
+    });
+  });
+});
+
+describe('any-swap rules', () => {
+  it('allow swapping any two tiles on the board', () => {
+    const { grid } = createBoard(SIZE, 'ANY01');
+    const { isValidMove } = getRules('any');
+    expect(isValidMove(grid, { row: 0, col: 0 }, { row: 2, col: 2 })).toBe(true);
+    expect(isValidMove(grid, { row: 0, col: 0 }, { row: 0, col: 3 })).toBe(false);
+  });
+
+  it('solve any board in fewer swaps than it has tiles', () => {
+    [SIZE, { rows: 6, cols: 6 }].forEach((size) => {
+      const board = createBoard(size, 'ANY02');
+      expect(checkWin(playSolution(board.grid, 'any'))).toBe(true);
+      expect(getRules('any').solve(board.grid).moves.length).toBeLessThan(gridToNumbers(board.grid).length);
+    });
+  });
+});
+
+describe('rotation rules', () => {
+  const rotate = getRules('rotate');
+
+  it('move a whole line, wrapping at the ends, and undo by moving back', () => {
+    const { grid } = createBoard(SIZE, 'ROT01');
+    const from = { row: 0, col: 0 };
+    const to = { row: 0, col: 2 };
+    expect(rotate.isValidMove(grid, from, to)).toBe(true);
+    expect(rotate.isValidMove(grid, from, { row: 1, col: 1 })).toBe(false);
+
+    const rotated = rotate.applyMove(grid, from, to);
+    const [a, b, c] = gridToNumbers(grid);
+    expect(gridToNumbers(rotated).slice(0, 3)).toEqual([b, c, a]);
+    expect(gridToNumbers(rotated).slice(3)).toEqual(gridToNumbers(grid).slice(3));
+    expect(rotate.applyMove(rotated, to, from)).toEqual(grid);
+  });
+
+  it('scramble without turning a line back or the long way round', () => {
+    // A 3-tile line turned twice running is either undone or better turned once the other way
+    ['ROT10', 'ROT11', 'ROT12', 'ROT13', 'ROT14'].forEach((seed) => {
+      const { scramble } = rotate.createBoard(SIZE, seed);
+      const lines = scramble.map(({ from, to }) => (from.row === to.row ? `r${from.row}` : `c${from.col}`));
+      lines.slice(1).forEach((line, index) => expect(line).not.toBe(lines[index]));
+    });
+  });
+
+  it('take par from the shortest solution and hint along it', () => {
+    const seed = 'ROT02';
+    const board = rotate.createBoard(SIZE, seed);
+    const par = rotate.getPar(board);
+    expect(par.optimal).toBe(true);
+    expect(par.moves).toBeLessThanOrEqual(board.scramble.length);
+
+    let { grid } = board;
+    const moves = [];
+    for (let step = 0; step <= board.scramble.length; step++) {
+      const hint = rotate.getHint(grid, { seed, moves });
+      if (!hint) break;
+      expect(rotate.isValidMove(grid, hint.from, hint.to)).toBe(true);
+      grid = rotate.applyMove(grid, hint.from, hint.to);
+      moves.push(hint);
+    }
+    expect(checkWin(grid)).toBe(true);
+    expect(moves).toHaveLength(par.moves);
+  });
+
+  it('estimate par from the scramble on boards too large to search', () => {
+    const board = rotate.createBoard({ rows: 5, cols: 5 }, 'ROT03');
+    const par = rotate.getPar(board);
+    expect(par).toEqual({ moves: board.scramble.length, optimal: false, minMoves: expect.any(Number) });
+    expect(par.minMoves).toBeGreaterThan(0);
+    expect(par.minMoves).toBeLessThanOrEqual(par.moves);
+  });
+});
+
+// Undo, redo and replays rely on a move reversing itself
+it('keeps swap moves reversible for every swapping rule set', () => {
+  const { grid } = createBoard(SIZE, 'REV01');
+  ['swap', 'diagonal', 'any'].forEach((rules) => {
+    const { applyMove } = getRules(rules);
+    const from = { row: 1, col: 1 };
+    const to = { row: 0, col: 1 };
+    expect(applyMove(applyMove(grid, from, to), to, from)).toEqual(grid);
+    expect(applyMove(grid, from, to)).toEqual(applySwap(grid, from, to));
+  });
+});
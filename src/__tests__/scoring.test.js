@@ -0,0 +1,51 @@
+import { computeScore, formatPar, getScoringPar, keepTopScores, rankScores } from '../scoring';
+
+const SIZE = { rows: 3, cols: 3 };
+
+describe('computeScore', () => {
+  it('rewards solving in par, time left and no hints', () => {
+    expect(computeScore({ moves: 10, par: 10, gridSize: SIZE })).toBe(1000);
+    expect(computeScore({ moves: 20, par: 10, gridSize: SIZE })).toBe(500);
+    expect(computeScore({ moves: 10, par: 10, timeRemaining: 12.5, hintsUsed: 1, gridSize: SIZE })).toBe(1025);
+    expect(computeScore({ moves: 50, par: 1, hintsUsed: 5, gridSize: SIZE })).toBe(0);
+  });
+});
+
+describe('getScoringPar', () => {
+  it('scores against the proven minimum when par is an estimate', () => {
+    expect(getScoringPar({ moves: 30, optimal: true, minMoves: 30 })).toBe(30);
+    expect(getScoringPar({ moves: 30, optimal: false, minMoves: 22 })).toBe(22);
+  });
+});
+
+describe('formatPar', () => {
+  it('marks an estimated par', () => {
+    expect(formatPar(12, false)).toBe('12');
+    expect(formatPar(12, true)).toBe('≤12');
+  });
+});
+
+describe('keepTopScores', () => {
+  const entry = (profileId, moves) => ({ profileId, moves, par: 5, timeRemaining: 0 });
+
+  it('keeps each player\'s own top list', () => {
+    // Ann holds every spot of the overall top 3, but Bob keeps his best
+    const entries = [
+      entry('ann', 5), entry('ann', 6), entry('ann', 7), entry('ann', 8),
+      entry('bob', 20), entry('bob', 30), entry('bob', 40), entry('bob', 50),
+    ];
+    const kept = keepTopScores(entries, SIZE, 3);
+
+    const movesFor = (profileId) =>
+      kept.filter((item) => item.profileId === profileId).map(({ moves }) => moves);
+    expect(movesFor('ann')).toEqual([5, 6, 7]);
+    expect(movesFor('bob')).toEqual([20, 30, 40]);
+    expect(kept).toEqual(rankScores(kept, 'score', SIZE));
+  });
+
+  it('treats entries saved before profiles as one player', () => {
+    const entries = [entry(undefined, 5), entry(undefined, 6), entry(undefined, 7), entry('ann', 9)];
+    const kept = keepTopScores(entries, SIZE, 2);
+    expect(kept.map(({ moves }) => moves)).toEqual([5, 6, 9]);
+  });
+});
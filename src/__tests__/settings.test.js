@@ -0,0 +1,55 @@
+import { DEFAULT_SETTINGS, createSettingsStore, sanitizeSettings } from '../settings';
+
+describe('sanitizeSettings', () => {
+  it('falls back to defaults for missing or unreadable values', () => {
+    expect(sanitizeSettings(null)).toEqual(DEFAULT_SETTINGS);
+    const settings = sanitizeSettings({ soundOn: 'yes', volume: 3, gridSize: '4x5', haptics: false });
+    expect(settings.soundOn).toBe(DEFAULT_SETTINGS.soundOn);
+    expect(settings.volume).toBe(1);
+    expect(settings.gridSize).toBe('4x5');
+    expect(sanitizeSettings({ gridSize: 4 }).gridSize).toBe(DEFAULT_SETTINGS.gridSize);
+    expect(settings.haptics).toBe(false);
+  });
+
+  it('falls back to defaults for choices that are not on offer', () => {
+    const settings = sanitizeSettings({ theme: 'neon', palette: 'plaid', gameMode: 'hard', rules: 'chess' });
+    expect(settings.theme).toBe(DEFAULT_SETTINGS.theme);
+    expect(settings.palette).toBe(DEFAULT_SETTINGS.palette);
+    expect(settings.gameMode).toBe(DEFAULT_SETTINGS.gameMode);
+    expect(settings.rules).toBe(DEFAULT_SETTINGS.rules);
+
+    const chosen = { theme: 'dark', gameMode: 'zen', rules: 'sliding' };
+    expect(sanitizeSettings(chosen)).toMatchObject(chosen);
+  });
+});
+
+describe('createSettingsStore', () => {
+  it('saves changes for the loaded player', async () => {
+    const save = jest.fn(async () => true);
+    const store = createSettingsStore(save);
+    store.load('ann', { soundOn: true });
+
+    await store.update({ volume: 0.5 });
+    expect(save).toHaveBeenLastCalledWith('ann', expect.objectContaining({ soundOn: true, volume: 0.5 }));
+  });
+
+  it('still saves changes made before there is a player', async () => {
+    const save = jest.fn(async () => true);
+    const store = createSettingsStore(save);
+
+    await store.update({ theme: 'dark' });
+    expect(save).toHaveBeenLastCalledWith(null, expect.objectContaining({ theme: 'dark' }));
+    expect(store.getSettings().theme).toBe('dark');
+  });
+
+  it('lands saves in the order changes were made', async () => {
+    const saved = [];
+    const delays = [30, 0];
+    const store = createSettingsStore((id, settings) =>
+      new Promise((resolve) => setTimeout(() => resolve(saved.push(settings.volume)), delays.shift())));
+
+    store.update({ volume: 0.25 });
+    await store.update({ volume: 0.75 });
+    expect(saved).toEqual([0.25, 0.75]);
+  });
+});
@@ -0,0 +1,80 @@
+import { applySwap, checkWin, gridToNumbers } from '../engine';
+import { createSlidingBoard, findBlank, getSlideSwaps, isSolvable } from '../sliding';
+import { solveSlidingBoard } from '../slidingSolver';
+
+// Play a solution's moves on a board and return the final grid
+const playMoves = (grid, moves) =>
+  moves.reduce((current, { from, to }) => applySwap(current, from, to), grid);
+
+const isNextTo = (a, b) => Math.abs(a.row - b.row) + Math.abs(a.col - b.col) === 1;
+
+// Every move must slide a tile next to the blank into it
+const expectSlides = (grid, moves) => {
+  let current = grid;
+  moves.forEach(({ from, to }) => {
+    expect(findBlank(current)).toEqual(to);
+    expect(isNextTo(from, to)).toBe(true);
+    current = applySwap(current, from, to);
+  });
+};
+
+describe('createSlidingBoard', () => {
+  it('only deals boards that can be solved', () => {
+    [{ rows: 3, cols: 3 }, { rows: 4, cols: 4 }, { rows: 3, cols: 5 }].forEach((size) => {
+      ['SLIDE1', 'SLIDE2', 'SLIDE3'].forEach((seed) => {
+        const { grid } = createSlidingBoard(size, seed);
+        expect(isSolvable(gridToNumbers(grid), size)).toBe(true);
+        expect(checkWin(grid)).toBe(false);
+      });
+    });
+  });
+
+  it('tells solvable boards from unsolvable ones', () => {
+    const size = { rows: 3, cols: 3 };
+    expect(isSolvable([1, 2, 3, 4, 5, 6, 7, 8, 9], size)).toBe(true);
+    expect(isSolvable([1, 2, 3, 4, 5, 6, 7, 9, 8], size)).toBe(true);
+    // Two tiles swapped with the blank at home can never be fixed
+    expect(isSolvable([2, 1, 3, 4, 5, 6, 7, 8, 9], size)).toBe(false);
+  });
+});
+
+describe('getSlideSwaps', () => {
+  it('slides the whole line between the blank and the tapped tile', () => {
+    const { grid } = createSlidingBoard({ rows: 4, cols: 4 }, 'SLIDE4');
+    const blank = findBlank(grid);
+    const far = { row: blank.row, col: blank.col < 2 ? 3 : 0 };
+    const swaps = getSlideSwaps(grid, far);
+    expect(swaps).toHaveLength(Math.abs(far.col - blank.col));
+    expectSlides(grid, swaps);
+    expect(findBlank(playMoves(grid, swaps))).toEqual(far);
+
+    const diagonal = { row: (blank.row + 1) % 4, col: (blank.col + 1) % 4 };
+    expect(getSlideSwaps(grid, diagonal)).toEqual([]);
+    expect(getSlideSwaps(grid, blank)).toEqual([]);
+  });
+});
+
+describe('solveSlidingBoard', () => {
+  it('solves 3x3 boards optimally', () => {
+    const size = { rows: 3, cols: 3 };
+    ['SLIDE1', 'SLIDE2'].forEach((seed) => {
+      const { grid } = createSlidingBoard(size, seed);
+      const { swaps, optimal } = solveSlidingBoard(gridToNumbers(grid), size);
+      expect(optimal).toBe(true);
+      expectSlides(grid, swaps);
+      expect(checkWin(playMoves(grid, swaps))).toBe(true);
+    });
+    // The blank one step from home needs a single move
+    expect(solveSlidingBoard([1, 2, 3, 4, 5, 6, 7, 9, 8], size).swaps).toHaveLength(1);
+  });
+
+  it('solves larger boards tile by tile', () => {
+    [{ rows: 4, cols: 4 }, { rows: 3, cols: 5 }, { rows: 6, cols: 6 }].forEach((size) => {
+      const { grid } = createSlidingBoard(size, 'SLIDE5');
+      const { swaps, optimal } = solveSlidingBoard(gridToNumbers(grid), size);
+      expect(optimal).toBe(false);
+      expectSlides(grid, swaps);
+      expect(checkWin(playMoves(grid, swaps))).toBe(true);
+    });
+  });
+});
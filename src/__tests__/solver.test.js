@@ -0,0 +1,82 @@
+import { applySwap, buildGrid, checkWin, createBoard, gridToNumbers, isAdjacent } from '../engine';
+import { solveAnySwapBoard, solveBoard } from '../solver';
+
+const getPar = (numbers, size) => solveBoard(numbers, size).swaps.length;
+
+// Play a solution's swaps on a board and return the final grid
+const playSwaps = (numbers, size, swaps) => {
+  let grid = buildGrid(numbers, size, numbers.map(String));
+  swaps.forEach(({ from, to }) => {
+    grid = applySwap(grid, from, to);
+  });
+  return grid;
+};
+
+const seededNumbers = (size, seed) => gridToNumbers(createBoard(size, seed).grid);
+
+describe('solveBoard', () => {
+  it('solves 3x3 boards optimally with adjacent swaps', () => {
+    const size = { rows: 3, cols: 3 };
+    ['PAR001', 'PAR002', 'PAR003'].forEach((seed) => {
+      const numbers = seededNumbers(size, seed);
+      const { swaps, optimal } = solveBoard(numbers, size);
+      expect(optimal).toBe(true);
+      swaps.forEach(({ from, to }) => expect(isAdjacent(from, to)).toBe(true));
+      expect(checkWin(playSwaps(numbers, size, swaps))).toBe(true);
+    });
+  });
+
+  it('finds the shortest solution', () => {
+    const size = { rows: 3, cols: 3 };
+    // Two swaps apart: 1 and 2 swapped, and 8 and 9 swapped
+    const numbers = [2, 1, 3, 4, 5, 6, 7, 9, 8];
+    expect(getPar(numbers, size)).toBe(2);
+    expect(getPar([1, 2, 3, 4, 5, 6, 7, 8, 9], size)).toBe(0);
+  });
+
+  it('falls back to a constructive solve on boards too large to search', () => {
+    [{ rows: 5, cols: 5 }, { rows: 3, cols: 5 }, { rows: 8, cols: 8 }].forEach((size) => {
+      const numbers = seededNumbers(size, 'BIG001');
+      const { swaps, optimal, minSwaps } = solveBoard(numbers, size);
+      expect(optimal).toBe(false);
+      expect(minSwaps).toBeGreaterThan(0);
+      expect(minSwaps).toBeLessThanOrEqual(swaps.length);
+      swaps.forEach(({ from, to }) => expect(isAdjacent(from, to)).toBe(true));
+      expect(checkWin(playSwaps(numbers, size, swaps))).toBe(true);
+    });
+  });
+
+  it('solves 4x4 boards whether or not the search finishes', () => {
+    const size = { rows: 4, cols: 4 };
+    const results = ['S1', 'S2'].map((seed) => {
+      const numbers = seededNumbers(size, seed);
+      const { swaps, optimal, minSwaps } = solveBoard(numbers, size);
+      expect(checkWin(playSwaps(numbers, size, swaps))).toBe(true);
+      // The search's last bound holds even when it runs out of budget
+      expect(optimal ? minSwaps === swaps.length : minSwaps < swaps.length).toBe(true);
+      return optimal;
+    });
+    expect(results).toEqual([true, false]);
+  });
+
+  it('solves with diagonal swaps when allowed', () => {
+    const size = { rows: 3, cols: 3 };
+    // 1 and 5 sit on each other's cells, one diagonal step apart
+    const numbers = [5, 2, 3, 4, 1, 6, 7, 8, 9];
+    const { swaps } = solveBoard(numbers, size, { diagonal: true });
+    expect(swaps).toEqual([{ from: { row: 0, col: 0 }, to: { row: 1, col: 1 } }]);
+    expect(getPar(numbers, size)).toBe(3);
+  });
+});
+
+describe('solveAnySwapBoard', () => {
+  it('takes one swap fewer than the tiles in each cycle', () => {
+    const size = { rows: 3, cols: 3 };
+    // One 3-cycle (1 -> 2 -> 3) and one 2-cycle (8, 9)
+    const numbers = [2, 3, 1, 4, 5, 6, 7, 9, 8];
+    const { swaps, optimal } = solveAnySwapBoard(numbers, size);
+    expect(optimal).toBe(true);
+    expect(swaps).toHaveLength(3);
+    expect(checkWin(playSwaps(numbers, size, swaps))).toBe(true);
+  });
+});
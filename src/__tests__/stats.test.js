@@ -0,0 +1,88 @@
+import { CHART_POINTS, MAX_LOG_ENTRIES, OUTCOMES, appendRecord, computeStats, createGameRecord } from '../stats';
+
+const record = (outcome, changes = {}) => ({
+  ...createGameRecord({
+    profileId: 'ann',
+    outcome,
+    gridSize: '3x3',
+    gameMode: 'timed',
+    rules: 'swap',
+    moves: 20,
+    par: 10,
+    parIsEstimate: false,
+    durationMs: 30000,
+    seed: 'STATS',
+  }),
+  ...changes,
+});
+
+describe('computeStats', () => {
+  it('sums up outcomes and streaks in the order games were played', () => {
+    const stats = computeStats([
+      record(OUTCOMES.win),
+      record(OUTCOMES.win),
+      record(OUTCOMES.win),
+      record(OUTCOMES.timeout),
+      record(OUTCOMES.win),
+      record(OUTCOMES.giveUp),
+      record(OUTCOMES.win),
+    ]);
+    expect(stats.played).toBe(7);
+    expect(stats.wins).toBe(5);
+    expect(stats.winRate).toBeCloseTo(5 / 7);
+    expect(stats.timeouts).toBe(1);
+    expect(stats.giveUps).toBe(1);
+    expect(stats.streaks).toEqual({ current: 1, best: 3 });
+  });
+
+  it('averages only winning games', () => {
+    const stats = computeStats([
+      record(OUTCOMES.win, { moves: 10, duration: 20 }),
+      record(OUTCOMES.win, { moves: 30, duration: 40 }),
+      record(OUTCOMES.giveUp, { moves: 2, duration: 5 }),
+    ]);
+    expect(stats.averageMoves).toBe(20);
+    expect(stats.bestMoves).toBe(10);
+    expect(stats.averageDuration).toBe(30);
+  });
+
+  it('breaks games down by mode, size and rule set, as leaderboards are', () => {
+    const stats = computeStats([
+      record(OUTCOMES.win, { gridSize: '4x4', moves: 40 }),
+      record(OUTCOMES.win, { moves: 12 }),
+      record(OUTCOMES.win, { gameMode: 'zen', moves: 30 }),
+      record(OUTCOMES.timeout, { rules: 'sliding' }),
+      record(OUTCOMES.win, { moves: 16 }),
+    ]);
+    expect(stats.byGame.map(({ key, label }) => [key, label])).toEqual([
+      ['3x3', '3x3'],
+      ['sliding-3x3', 'Sliding 3x3'],
+      ['zen-3x3', 'Zen 3x3'],
+      ['4x4', '4x4'],
+    ]);
+    expect(stats.byGame[0]).toMatchObject({ played: 2, wins: 2, averageMoves: 14, bestMoves: 12 });
+    expect(stats.byGame[1]).toMatchObject({ played: 1, wins: 0, bestMoves: null });
+  });
+
+  it('charts efficiency for recent wins, leaving out estimated par', () => {
+    const wins = Array.from({ length: CHART_POINTS + 5 }, (_, i) => record(OUTCOMES.win, { moves: 10 + i }));
+    const stats = computeStats([
+      ...wins,
+      record(OUTCOMES.win, { parIsEstimate: true }),
+      record(OUTCOMES.giveUp),
+    ]);
+    expect(stats.chart).toHaveLength(CHART_POINTS);
+    expect(stats.chart[stats.chart.length - 1].efficiency).toBe(Math.round((10 / (10 + CHART_POINTS + 4)) * 100));
+    expect(computeStats([record(OUTCOMES.win, { moves: 8 })]).chart[0].efficiency).toBe(100);
+  });
+});
+
+describe('appendRecord', () => {
+  it('drops the oldest records past the limit', () => {
+    const log = Array.from({ length: MAX_LOG_ENTRIES }, (_, i) => record(OUTCOMES.win, { moves: i }));
+    const appended = appendRecord(log, record(OUTCOMES.giveUp));
+    expect(appended).toHaveLength(MAX_LOG_ENTRIES);
+    expect(appended[0].moves).toBe(1);
+    expect(appended[appended.length - 1].outcome).toBe(OUTCOMES.giveUp);
+  });
+});
@@ -0,0 +1,171 @@
+import { KEYS, SCHEMA_VERSION, createStorage } from '../storage';
+
+// The module's default storage uses the real AsyncStorage; these tests only
+// use storage made over the in-memory backend below
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+// AsyncStorage-compatible backend kept in a Map
+const createMemoryBackend = (items = {}) => {
+  const map = new Map(Object.entries(items));
+  return {
+    map,
+    getItem: async (key) => (map.has(key) ? map.get(key) : null),
+    setItem: async (key, value) => {
+      map.set(key, value);
+    },
+    removeItem: async (key) => {
+      map.delete(key);
+    },
+    multiRemove: async (keys) => {
+      keys.forEach((key) => map.delete(key));
+    },
+  };
+};
+
+const readStored = (backend, key) => JSON.parse(backend.map.get(key));
+
+describe('migrate', () => {
+  it('upgrades untouched installs to the current version', async () => {
+    const backend = createMemoryBackend();
+    await createStorage(backend).migrate();
+    expect(readStored(backend, KEYS.schemaVersion)).toBe(SCHEMA_VERSION);
+  });
+
+  it('0 -> 1: converts locale score dates and folds in the old settings keys', async () => {
+    const backend = createMemoryBackend({
+      [KEYS.highScores]: JSON.stringify({
+        3: [
+          { name: 'Ann', moves: 10, date: '6/14/2025' },
+          { name: 'Bob', moves: 12, date: '14.6.2025' },
+          null,
+          { name: 'Cy', moves: 14, date: 'someday' },
+        ],
+      }),
+      darkMode: 'true',
+      soundOn: 'false',
+      gridzen_undocountsasmove: 'true',
+    });
+    await createStorage(backend).migrate();
+
+    const [ann, bob, , cy] = readStored(backend, KEYS.highScores)['3'];
+    expect(ann.date).toBe(new Date(2025, 5, 14).toISOString());
+    expect(bob.date).toBe(new Date(2025, 5, 14).toISOString());
+    expect(cy.date).toBe('someday');
+    expect(backend.map.has('darkMode')).toBe(false);
+    expect(backend.map.has('gridzen_undocountsasmove')).toBe(false);
+  });
+
+  it('1 -> 2: turns the saved player into the first profile and claims their scores', async () => {
+    const backend = createMemoryBackend({
+      [KEYS.schemaVersion]: '1',
+      gridzen_playername: 'Ann',
+      gridzen_settings: JSON.stringify({ darkMode: true, soundOn: true }),
+      [KEYS.highScores]: JSON.stringify({
+        3: [{ name: 'Ann', moves: 10 }, { name: 'Bob', moves: 11 }, null],
+      }),
+    });
+    const storage = createStorage(backend);
+    await storage.migrate();
+
+    const profiles = await storage.loadProfiles();
+    expect(profiles.list).toHaveLength(1);
+    const [profile] = profiles.list;
+    expect(profiles.activeId).toBe(profile.id);
+    expect(profile.name).toBe('Ann');
+    expect(profile.settings).toMatchObject({ theme: 'dark', soundOn: true });
+
+    const [ann, bob] = readStored(backend, KEYS.highScores)['3'];
+    expect(ann.profileId).toBe(profile.id);
+    expect(bob.profileId).toBeUndefined();
+    expect(backend.map.has('gridzen_playername')).toBe(false);
+    expect(backend.map.has('gridzen_settings')).toBe(false);
+  });
+
+  it('1 -> 2: keeps settings saved without a name for the first player', async () => {
+    const backend = createMemoryBackend({
+      [KEYS.schemaVersion]: '1',
+      gridzen_settings: JSON.stringify({ darkMode: true, soundOn: false }),
+    });
+    const storage = createStorage(backend);
+    await storage.migrate();
+
+    expect((await storage.loadProfiles()).list).toHaveLength(0);
+    const settings = await storage.loadGuestSettings();
+    expect(settings).toMatchObject({ theme: 'dark', soundOn: false });
+    expect(settings).not.toHaveProperty('darkMode');
+
+    await storage.clearGuestSettings();
+    expect(backend.map.has(KEYS.guestSettings)).toBe(false);
+  });
+
+  it('2 -> 3: replaces each profile\'s dark mode switch with a theme', async () => {
+    const backend = createMemoryBackend({
+      [KEYS.schemaVersion]: '2',
+      [KEYS.profiles]: JSON.stringify({
+        activeId: 'a',
+        list: [
+          { id: 'a', name: 'Ann', settings: { darkMode: true, soundOn: true } },
+          { id: 'b', name: 'Bob', settings: { darkMode: false } },
+          { id: 'c', name: 'Cy', settings: {} },
+        ],
+      }),
+    });
+    const storage = createStorage(backend);
+    await storage.migrate();
+
+    const stored = readStored(backend, KEYS.profiles);
+    stored.list.forEach((profile) => expect(profile.settings).not.toHaveProperty('darkMode'));
+    const { list } = await storage.loadProfiles();
+    expect(list.map((profile) => profile.settings.theme)).toEqual(['dark', 'light', 'system']);
+    expect(list[0].settings.soundOn).toBe(true);
+    expect(readStored(backend, KEYS.schemaVersion)).toBe(3);
+  });
+
+  it('does nothing once data is up to date', async () => {
+    const profiles = JSON.stringify({ activeId: null, list: [] });
+    const backend = createMemoryBackend({
+      [KEYS.schemaVersion]: String(SCHEMA_VERSION),
+      [KEYS.profiles]: profiles,
+    });
+    await createStorage(backend).migrate();
+    expect(backend.map.get(KEYS.profiles)).toBe(profiles);
+  });
+});
+
+describe('corrupt data', () => {
+  beforeEach(() => jest.spyOn(console, 'log').mockImplementation(() => {}));
+  afterEach(() => jest.restoreAllMocks());
+
+  it('sets unreadable values aside and starts clean', async () => {
+    const backend = createMemoryBackend({
+      [KEYS.schemaVersion]: String(SCHEMA_VERSION),
+      [KEYS.highScores]: '{"3": [',
+      [KEYS.gameLog]: 'not json',
+    });
+    const storage = createStorage(backend);
+
+    expect(await storage.loadHighScores()).toEqual({});
+    expect(await storage.loadGameLog()).toEqual([]);
+    expect(backend.map.get(`${KEYS.highScores}_corrupt`)).toBe('{"3": [');
+    expect(backend.map.get(`${KEYS.gameLog}_corrupt`)).toBe('not json');
+    expect(backend.map.has(KEYS.highScores)).toBe(false);
+    expect(backend.map.has(KEYS.gameLog)).toBe(false);
+  });
+
+  it('drops malformed entries it can still read', async () => {
+    const backend = createMemoryBackend({
+      [KEYS.highScores]: JSON.stringify({ '3x3': [{ moves: 5 }], '4x4': 'oops' }),
+      [KEYS.gameLog]: JSON.stringify([{ outcome: 'won' }, null, 7]),
+      [KEYS.profiles]: JSON.stringify({ activeId: 'gone', list: [{ id: 'a', name: 'Ann' }, { name: 'No id' }] }),
+    });
+    const storage = createStorage(backend);
+
+    expect(await storage.loadHighScores()).toEqual({ '3x3': [{ moves: 5 }] });
+    expect(await storage.loadGameLog()).toEqual([{ outcome: 'won' }]);
+    const profiles = await storage.loadProfiles();
+    expect(profiles.activeId).toBe('a');
+    expect(profiles.list).toHaveLength(1);
+  });
+});
@@ -0,0 +1,99 @@
+import {
+  createCountdown,
+  createStopwatch,
+  getElapsedMs,
+  getRemainingMs,
+  msUntilNextElapsedSecond,
+  msUntilNextSecond,
+  pauseCountdown,
+  resumeCountdown,
+  toDisplaySeconds,
+} from '../timer';
+
+describe('countdown', () => {
+  it('keeps time from the clock however late callbacks fire', () => {
+    const countdown = createCountdown(30000, 1000);
+    // Ticks that each arrive well past the second they were scheduled for
+    let time = 1000;
+    [1180, 1350, 990, 2400, 1075].forEach((late) => {
+      time += late;
+      expect(getRemainingMs(countdown, time)).toBe(30000 - (time - 1000));
+    });
+    expect(getRemainingMs(countdown, 1000 + 30000)).toBe(0);
+    expect(getRemainingMs(countdown, 1000 + 45000)).toBe(0);
+  });
+
+  it('ends on time when ticks are scheduled with msUntilNextSecond', () => {
+    const start = 500;
+    const countdown = createCountdown(10000, start);
+    let time = start;
+    let ticks = 0;
+    while (getRemainingMs(countdown, time) > 0) {
+      // Each timeout fires 37ms late, as a busy JS thread might
+      time += msUntilNextSecond(getRemainingMs(countdown, time)) + 37;
+      ticks++;
+    }
+    expect(ticks).toBe(10);
+    expect(time - start).toBeLessThan(10000 + 37 + 1);
+  });
+
+  it('banks elapsed time across pauses', () => {
+    let countdown = createCountdown(60000, 0);
+    countdown = pauseCountdown(countdown, 10000);
+    expect(getRemainingMs(countdown, 10000)).toBe(50000);
+    // Time spent paused doesn't count
+    expect(getRemainingMs(countdown, 500000)).toBe(50000);
+
+    countdown = resumeCountdown(countdown, 500000);
+    expect(getRemainingMs(countdown, 505000)).toBe(45000);
+
+    countdown = pauseCountdown(countdown, 520000);
+    countdown = resumeCountdown(countdown, 900000);
+    expect(getElapsedMs(countdown, 900000)).toBe(30000);
+    expect(getRemainingMs(countdown, 910000)).toBe(20000);
+  });
+
+  it('resumes a saved countdown with the time already used', () => {
+    const countdown = createCountdown(60000, 1000, 45500);
+    expect(getRemainingMs(countdown, 1000)).toBe(14500);
+    expect(getElapsedMs(countdown, 11000)).toBe(55500);
+    expect(getRemainingMs(countdown, 20000)).toBe(0);
+  });
+
+  it('ignores pausing twice or resuming while running', () => {
+    const running = createCountdown(5000, 0);
+    expect(resumeCountdown(running, 2000)).toBe(running);
+    const paused = pauseCountdown(running, 1000);
+    expect(pauseCountdown(paused, 3000)).toBe(paused);
+  });
+});
+
+describe('stopwatch', () => {
+  it('counts up from where a saved game left off', () => {
+    let stopwatch = createStopwatch(12500, 100);
+    expect(getElapsedMs(stopwatch, 1100)).toBe(13500);
+    stopwatch = pauseCountdown(stopwatch, 2100);
+    expect(getElapsedMs(stopwatch, 9000)).toBe(14500);
+  });
+});
+
+describe('msUntilNextSecond', () => {
+  it('lands on the next change of the displayed seconds', () => {
+    [30000, 29999, 29001, 29000, 1200, 1, 60000].forEach((remaining) => {
+      const wait = msUntilNextSecond(remaining);
+      expect(wait).toBeGreaterThan(0);
+      expect(wait).toBeLessThanOrEqual(1000);
+      const after = remaining - wait;
+      expect(after % 1000).toBe(0);
+      expect(toDisplaySeconds(after)).toBe(toDisplaySeconds(remaining) - 1);
+    });
+  });
+
+  it('counts up to the next whole second', () => {
+    [0, 1, 999, 1000, 12345].forEach((elapsed) => {
+      const after = elapsed + msUntilNextElapsedSecond(elapsed);
+      expect(after % 1000).toBe(0);
+      expect(Math.floor(after / 1000)).toBe(Math.floor(elapsed / 1000) + 1);
+    });
+  });
+});
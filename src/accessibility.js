@@ -0,0 +1,42 @@
+// Accessibility
+// Screen reader labels for tiles and spoken descriptions of moves. Cells are
+// read out counting from 1, as "row 2 column 3".
+
+// Text size multiplier in large text mode
+export const LARGE_TEXT_SCALE = 1.3;
+
+const describeCell = (row, col) => `row ${row + 1} column ${col + 1}`;
+
+// Screen reader label for a tile, such as "Tile 7, row 2 column 3, selected".
+// Tiles whose numbers are hidden are read as colors alone.
+export const getTileLabel = (
+  tile,
+  row,
+  col,
+  { selected = false, hidden = false, fixed = false, gap = false } = {}
+) => {
+  const name = gap ? 'Gap' : hidden ? 'Color tile' : `Tile ${tile.number}`;
+  return [name, describeCell(row, col), fixed && 'fixed', selected && 'selected']
+    .filter(Boolean)
+    .join(', ');
+};
+
+// Spoken description of a move, from the grids before and after it
+export const describeMove = (oldGrid, newGrid, { hidden = false, gapNumber = null } = {}) => {
+  const oldCells = new Map();
+  oldGrid.forEach((row, rowIndex) => row.forEach((tile, colIndex) => {
+    oldCells.set(tile.number, { row: rowIndex, col: colIndex });
+  }));
+
+  const moved = [];
+  newGrid.forEach((row, rowIndex) => row.forEach((tile, colIndex) => {
+    const old = oldCells.get(tile.number);
+    if (tile.number !== gapNumber && (old.row !== rowIndex || old.col !== colIndex)) {
+      moved.push({ tile, row: rowIndex, col: colIndex });
+    }
+  }));
+
+  if (moved.length === 0) return 'No tiles moved';
+  if (hidden || moved.length > 2) return `${moved.length} tiles moved`;
+  return moved.map(({ tile, row, col }) => `Tile ${tile.number} to ${describeCell(row, col)}`).join(', ');
+};
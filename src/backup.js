@@ -0,0 +1,155 @@
+// Export and import
+// Scores, game history and player names can be exported as a versioned JSON
+// backup (or the game history as CSV), and a backup can be merged back in on
+// any device. Imports are validated first and never create duplicates.
+
+import { addProfile, createProfile, isNameTaken } from './profiles';
+import { MAX_LOG_ENTRIES } from './stats';
+import { keepTopScores } from './scoring';
+import { parseScoreKey } from './modes';
+import { isValidReplay } from './replay';
+import { isPlainObject } from './storage';
+import { getSizeKey, isValidSize } from './sizes';
+
+export const EXPORT_FORMAT = 'gridzen-export';
+export const EXPORT_VERSION = 1;
+
+export const createExport = ({ highScores, gameLog, profiles }) => ({
+  format: EXPORT_FORMAT,
+  version: EXPORT_VERSION,
+  exportedAt: new Date().toISOString(),
+  profiles: profiles.list.map(({ id, name, createdAt }) => ({ id, name, createdAt })),
+  highScores,
+  gameLog,
+});
+
+const CSV_COLUMNS = ['date', 'player', 'outcome', 'size', 'mode', 'rules', 'moves', 'par', 'duration', 'seed'];
+
+// Quote a CSV field when it contains a separator, quote or line break
+const toCSVField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Game history as CSV, one row per game
+export const gameLogToCSV = (gameLog, profiles) => {
+  const names = Object.fromEntries(profiles.list.map((profile) => [profile.id, profile.name]));
+  const rows = gameLog.map((record) => [
+    record.date,
+    names[record.profileId] || '',
+    record.outcome,
+    getSizeKey(record.gridSize),
+    record.gameMode,
+    record.rules,
+    record.moves,
+    record.par,
+    record.duration,
+    record.seed,
+  ]);
+  return [CSV_COLUMNS, ...rows].map((row) => row.map(toCSVField).join(',')).join('\n');
+};
+
+const isScoreEntry = (entry) =>
+  isPlainObject(entry) && typeof entry.name === 'string' && Number.isFinite(entry.moves) &&
+  (Number.isFinite(entry.timeRemaining) || Number.isFinite(entry.timeTaken));
+
+// A score whose replay can't be played back is kept without it
+const dropDamagedReplay = (entry) => {
+  if (entry.replay === undefined || isValidReplay(entry.replay)) return entry;
+  const { replay, ...rest } = entry;
+  return rest;
+};
+
+const isGameRecord = (record) =>
+  isPlainObject(record) && typeof record.outcome === 'string' &&
+  isValidSize(record.gridSize) && typeof record.date === 'string';
+
+// Parse and validate an export; returns { data } or { error } with a message
+// suitable for showing to the player
+export const parseExport = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return { error: 'The file is not valid JSON.' };
+  }
+
+  if (!isPlainObject(data) || data.format !== EXPORT_FORMAT) {
+    return { error: 'The file is not a GridZen export.' };
+  }
+  if (data.version !== EXPORT_VERSION) {
+    return { error: `Export version ${data.version} is not supported by this version of GridZen.` };
+  }
+  if (
+    !Array.isArray(data.profiles) ||
+    !isPlainObject(data.highScores) ||
+    !Object.keys(data.highScores).every((key) => parseScoreKey(key) !== null) ||
+    !Object.values(data.highScores).every((entries) => Array.isArray(entries) && entries.every(isScoreEntry)) ||
+    !Array.isArray(data.gameLog) || !data.gameLog.every(isGameRecord)
+  ) {
+    return { error: 'The export is damaged or incomplete.' };
+  }
+  const highScores = Object.fromEntries(
+    Object.entries(data.highScores).map(([key, entries]) => [key, entries.map(dropDamagedReplay)])
+  );
+  return { data: { ...data, highScores } };
+};
+
+// Match imported players to local ones by name, creating any that are missing.
+// Returns the updated profiles and a map from imported ids to local ids.
+const mergeProfiles = (profiles, importedProfiles) => {
+  let merged = profiles;
+  const idMap = {};
+  importedProfiles.forEach(({ id, name }) => {
+    if (typeof name !== 'string' || !name.trim()) return;
+    if (!isNameTaken(merged, name)) {
+      merged = { ...addProfile(merged, createProfile(name)), activeId: merged.activeId };
+    }
+    const local = merged.list.find((profile) => profile.name.toLowerCase() === name.trim().toLowerCase());
+    idMap[id] = local.id;
+  });
+  // Keep the current player active, or pick the first one if there was none
+  if (!merged.activeId && merged.list.length > 0) {
+    merged = { ...merged, activeId: merged.list[0].id };
+  }
+  return { profiles: merged, idMap };
+};
+
+const scoreKey = (entry) => [entry.name, entry.date, entry.moves, entry.timeRemaining, entry.seed].join('|');
+
+const recordKey = (record) => [record.profileId, record.date, record.outcome, record.seed].join('|');
+
+// Merge an export into local data. Returns the merged data and how many new
+// scores and games were added.
+export const mergeImport = ({ highScores, gameLog, profiles }, data) => {
+  const { profiles: mergedProfiles, idMap } = mergeProfiles(profiles, data.profiles);
+  const remap = (item) => ({ ...item, profileId: idMap[item.profileId] || null });
+
+  // True the first time a key is seen, so repeats within the file are dropped too
+  const isNew = (seen, key) => !seen.has(key) && Boolean(seen.add(key));
+
+  let addedScores = 0;
+  const mergedScores = { ...highScores };
+  Object.entries(data.highScores).forEach(([key, entries]) => {
+    const existing = mergedScores[key] || [];
+    const seen = new Set(existing.map(scoreKey));
+    const additions = entries.map(remap).filter((entry) => isNew(seen, scoreKey(entry)));
+    const kept = keepTopScores([...existing, ...additions], parseScoreKey(key).gridSize);
+    addedScores += kept.filter((entry) => additions.includes(entry)).length;
+    mergedScores[key] = kept;
+  });
+
+  const seenRecords = new Set(gameLog.map(recordKey));
+  const newRecords = data.gameLog.map(remap).filter((record) => isNew(seenRecords, recordKey(record)));
+  const mergedLog = [...gameLog, ...newRecords]
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .slice(-MAX_LOG_ENTRIES);
+
+  return {
+    highScores: mergedScores,
+    gameLog: mergedLog,
+    profiles: mergedProfiles,
+    addedScores,
+    addedGames: newRecords.length,
+  };
+};
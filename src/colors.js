@@ -0,0 +1,63 @@
+// Color helpers
+// Reading the color strings tiles are drawn with, and picking text colors
+// that stay readable on any tile.
+
+// Convert HSL (degrees, percentages) to [r, g, b] in 0-255
+export const hslToRgb = (hue, saturation, lightness) => {
+  const s = saturation / 100;
+  const l = lightness / 100;
+  const chroma = (1 - Math.abs(2 * l - 1)) * s;
+  const channel = (n) => {
+    const k = (n + hue / 30) % 12;
+    return Math.round(255 * (l - chroma / 2 * Math.max(-1, Math.min(k - 3, 9 - k, 1))));
+  };
+  return [channel(0), channel(8), channel(4)];
+};
+
+// Blend two [r, g, b] colors, amount 0 giving a and 1 giving b
+export const mixRgb = (a, b, amount) => a.map((value, i) => value + (b[i] - value) * amount);
+
+// "rgb(...)" string for an [r, g, b] color, rounding each channel
+export const toRgbString = ([r, g, b]) => `rgb(${Math.round(r)}, ${Math.round(g)}, ${Math.round(b)})`;
+
+const parseHex = (color) => {
+  const hex = color.slice(1);
+  const full = hex.length === 3 ? hex.split('').map((digit) => digit + digit).join('') : hex;
+  return [0, 2, 4].map((start) => parseInt(full.slice(start, start + 2), 16));
+};
+
+// [r, g, b] in 0-255 for a "#rgb", "#rrggbb", "rgb(...)" or "hsl(...)" color,
+// or null if it can't be read
+export const parseColor = (color) => {
+  if (typeof color !== 'string') return null;
+  if (/^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(color)) return parseHex(color);
+  const match = /^(rgb|hsl)a?\(([^)]*)\)$/.exec(color.trim());
+  if (!match) return null;
+  const values = match[2].split(',').map((part) => parseFloat(part));
+  if (values.length < 3 || values.slice(0, 3).some(Number.isNaN)) return null;
+  return match[1] === 'rgb' ? values.slice(0, 3) : hslToRgb(values[0], values[1], values[2]);
+};
+
+// WCAG relative luminance
+const getLuminance = (rgb) => {
+  const [r, g, b] = rgb.map((value) => {
+    const channel = value / 255;
+    return channel <= 0.03928 ? channel / 12.92 : ((channel + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+};
+
+// WCAG contrast ratio between two colors, from 1 to 21
+export const getContrastRatio = (a, b) => {
+  const [lighter, darker] = [getLuminance(parseColor(a)), getLuminance(parseColor(b))]
+    .sort((x, y) => y - x);
+  return (lighter + 0.05) / (darker + 0.05);
+};
+
+// Black or white, whichever contrasts more with the background
+export const getReadableTextColor = (background) => {
+  if (!parseColor(background)) return '#000000';
+  return getContrastRatio(background, '#000000') >= getContrastRatio(background, '#ffffff')
+    ? '#000000'
+    : '#ffffff';
+};
@@ -0,0 +1,73 @@
+// Daily challenge
+// Each calendar day has one board per size, derived from the date alone so
+// every device generates the same one without a server. A player gets one
+// attempt per day and size; the attempt is recorded as soon as it starts.
+//
+// Results are kept as { [dateKey]: { [sizeKey]: [entry, ...] } }.
+
+import { rankScores } from './scoring';
+import { getSizeKey } from './sizes';
+
+export const DAILY_OUTCOMES = {
+  started: 'started',
+  win: 'win',
+  loss: 'loss',
+};
+
+// Days of results kept, enough for long streaks
+const MAX_DAYS_KEPT = 400;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Local calendar date as YYYY-MM-DD
+export const getDateKey = (date = new Date()) =>
+  `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+const previousDateKey = (dateKey) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return getDateKey(new Date(year, month - 1, day - 1));
+};
+
+export const getDailySeed = (dateKey, gridSize) => `DAILY-${dateKey}-${getSizeKey(gridSize)}`;
+
+const getEntries = (daily, dateKey, gridSize) =>
+  (daily[dateKey] && daily[dateKey][getSizeKey(gridSize)]) || [];
+
+export const getDailyEntry = (daily, dateKey, gridSize, profileId) =>
+  getEntries(daily, dateKey, gridSize).find((entry) => entry.profileId === profileId) || null;
+
+// Add or replace a player's entry for a day and size, dropping the oldest days
+export const saveDailyEntry = (daily, dateKey, gridSize, entry) => {
+  const others = getEntries(daily, dateKey, gridSize)
+    .filter((existing) => existing.profileId !== entry.profileId);
+  const updated = {
+    ...daily,
+    [dateKey]: { ...daily[dateKey], [getSizeKey(gridSize)]: [...others, entry] },
+  };
+  const keptDays = Object.keys(updated).sort().slice(-MAX_DAYS_KEPT);
+  return Object.fromEntries(keptDays.map((key) => [key, updated[key]]));
+};
+
+// Winning entries for a day and size, best score first
+export const getDailyLeaderboard = (daily, dateKey, gridSize) =>
+  rankScores(
+    getEntries(daily, dateKey, gridSize).filter((entry) => entry.outcome === DAILY_OUTCOMES.win),
+    'score',
+    gridSize
+  );
+
+const wonOnDay = (daily, dateKey, profileId) =>
+  Object.values(daily[dateKey] || {}).some((entries) =>
+    entries.some((entry) => entry.profileId === profileId && entry.outcome === DAILY_OUTCOMES.win));
+
+// Consecutive days, up to today, on which the player won at least one daily
+// challenge. A streak isn't broken until a whole day passes without a win.
+export const getDailyStreak = (daily, profileId, today = getDateKey()) => {
+  let dateKey = wonOnDay(daily, today, profileId) ? today : previousDateKey(today);
+  let streak = 0;
+  while (wonOnDay(daily, dateKey, profileId)) {
+    streak++;
+    dateKey = previousDateKey(dateKey);
+  }
+  return streak;
+};
@@ -0,0 +1,242 @@
+// GridZen puzzle engine
+// Pure game rules with no React or React Native dependencies, so they can be
+// reused by every game mode and exercised directly in Node.
+
+import { isValidHistory } from './history';
+import { createRng, normalizeSeed } from './random';
+import { getCellCount, getEquivalentSide, getSizeKey, toSize } from './sizes';
+
+// Round a time limit to the nearest 5 seconds
+export const roundTimeLimit = (seconds) => Math.max(5, Math.round(seconds / 5) * 5);
+
+// Time limits grow by 30 seconds for each tile per side past two (30 seconds
+// for 3x3, 120 for 6x6), using the side of a square with as many tiles
+export const getTimeLimit = (size) => roundTimeLimit(30 * (getEquivalentSide(size) - 2));
+
+// Minimum number of adjacent swaps a starting board must be from solved. The
+// original sizes keep their tuned values; others grow with the tile count.
+const MIN_SWAP_DISTANCES = {
+  '3x3': 5,
+  '4x4': 12,
+  '5x5': 24,
+  '6x6': 42,
+};
+
+export const getMinSwapDistance = (size) =>
+  MIN_SWAP_DISTANCES[getSizeKey(size)] || Math.floor(getCellCount(size) ** 1.5 / 5);
+
+// Give up on finding a harder board after this many reshuffles
+const MAX_SHUFFLE_ATTEMPTS = 100;
+
+// Color generation function
+export const generateDistinctColors = (count, rng = Math.random) => {
+  const colors = [];
+  const hueStep = 360 / count;
+
+  for (let i = 0; i < count; i++) {
+    const hue = (i * hueStep + rng() * 30) % 360;
+    const saturation = 70 + rng() * 30;
+    const lightness = 45 + rng() * 20;
+    colors.push(`hsl(${hue}, ${saturation}%, ${lightness}%)`);
+  }
+
+  return shuffle(colors, rng);
+};
+
+// Fisher-Yates shuffle, returning a new array
+export const shuffle = (items, rng = Math.random) => {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+// Sum of each tile's Manhattan distance from its solved position
+export const manhattanDistance = (numbers, { cols }) =>
+  numbers.reduce((total, number, index) => {
+    const target = number - 1;
+    return total +
+      Math.abs(Math.floor(index / cols) - Math.floor(target / cols)) +
+      Math.abs((index % cols) - (target % cols));
+  }, 0);
+
+// Number of tile pairs that are out of order, read left to right, top to bottom
+export const inversionCount = (numbers) => {
+  let inversions = 0;
+  for (let i = 0; i < numbers.length; i++) {
+    for (let j = i + 1; j < numbers.length; j++) {
+      if (numbers[i] > numbers[j]) inversions++;
+    }
+  }
+  return inversions;
+};
+
+// Lower bound on the adjacent swaps needed to solve a board. A swap moves two
+// tiles one step each, and a vertical swap fixes at most 2 * cols - 1 inversions.
+export const swapDistance = (numbers, size) =>
+  Math.max(
+    Math.ceil(manhattanDistance(numbers, size) / 2),
+    Math.ceil(inversionCount(numbers) / (2 * size.cols - 1))
+  );
+
+// Build a rows x cols grid from a flat list of tile numbers
+export const buildGrid = (numbers, { rows, cols }, colors) => {
+  const grid = [];
+  for (let i = 0; i < rows; i++) {
+    grid[i] = [];
+    for (let j = 0; j < cols; j++) {
+      const number = numbers[i * cols + j];
+      grid[i][j] = {
+        number,
+        color: colors[number - 1],
+      };
+    }
+  }
+  return grid;
+};
+
+// Flatten a grid back into its tile numbers, read left to right, top to bottom
+export const gridToNumbers = (grid) => grid.flat().map((tile) => tile.number);
+
+// Flat indices run left to right, top to bottom, so a board's width is all
+// the index arithmetic needs
+export const toIndex = ({ row, col }, cols) => row * cols + col;
+
+export const toCell = (index, cols) => ({ row: Math.floor(index / cols), col: index % cols });
+
+// Create a new board: the solved target grid and a shuffled starting grid.
+// The same seed and size always produce the same board.
+export const createBoard = (size, seed) => {
+  const rng = createRng(seed);
+  const count = getCellCount(size);
+  // Colors must be drawn first so getBoardColors can reproduce them
+  const colors = generateDistinctColors(count, rng);
+  const numbers = Array.from({ length: count }, (_, i) => i + 1);
+
+  const targetGrid = buildGrid(numbers, size, colors);
+
+  // Reshuffle boards that start too close to solved, keeping the hardest seen
+  const minDistance = getMinSwapDistance(size);
+  let shuffled = shuffle(numbers, rng);
+  let distance = swapDistance(shuffled, size);
+  for (let attempt = 1; attempt < MAX_SHUFFLE_ATTEMPTS && distance < minDistance; attempt++) {
+    const candidate = shuffle(numbers, rng);
+    const candidateDistance = swapDistance(candidate, size);
+    if (candidateDistance > distance) {
+      shuffled = candidate;
+      distance = candidateDistance;
+    }
+  }
+  const grid = buildGrid(shuffled, size, colors);
+
+  return { grid, targetGrid, colors, seed: normalizeSeed(seed) };
+};
+
+// Tile colors for the board createBoard makes from this size and seed
+export const getBoardColors = (size, seed) =>
+  generateDistinctColors(getCellCount(size), createRng(seed));
+
+// Two cells are adjacent when they touch up-down or left-right
+export const isAdjacent = (a, b) =>
+  (Math.abs(a.row - b.row) === 1 && a.col === b.col) ||
+  (Math.abs(a.col - b.col) === 1 && a.row === b.row);
+
+export const isInBounds = (grid, { row, col }) =>
+  Number.isInteger(row) && Number.isInteger(col) &&
+  row >= 0 && row < grid.length && col >= 0 && col < grid[row].length;
+
+// A move is valid when both cells are on the board and adjacent to each other
+export const isValidMove = (grid, from, to) =>
+  isInBounds(grid, from) && isInBounds(grid, to) && isAdjacent(from, to);
+
+// Swap two tiles, returning a new grid and leaving the original untouched
+export const applySwap = (grid, from, to) => {
+  const newGrid = grid.map((row) => [...row]);
+  const temp = newGrid[to.row][to.col];
+  newGrid[to.row][to.col] = newGrid[from.row][from.col];
+  newGrid[from.row][from.col] = temp;
+  return newGrid;
+};
+
+// Check win condition: every tile where targetGrid has it, or, without a
+// target, the numbers in order
+export const checkWin = (grid, targetGrid = null) => {
+  let expectedNumber = 1;
+  for (let i = 0; i < grid.length; i++) {
+    for (let j = 0; j < grid[i].length; j++) {
+      const expected = targetGrid ? targetGrid[i][j].number : expectedNumber;
+      if (grid[i][j].number !== expected) {
+        return false;
+      }
+      expectedNumber++;
+    }
+  }
+  return true;
+};
+
+// Tile colors indexed by tile number - 1, recovered from a grid
+const gridToColors = (grid) => {
+  const colors = [];
+  grid.flat().forEach((tile) => {
+    colors[tile.number - 1] = tile.color;
+  });
+  return colors;
+};
+
+// Whether numbers hold each tile number from 1 to count exactly once
+export const isPermutation = (numbers, count) =>
+  Array.isArray(numbers) && numbers.length === count &&
+  new Set(numbers.filter((number) => Number.isInteger(number) && number >= 1 && number <= count)).size === count;
+
+// Seconds left or taken, as saved; null for the clock a mode doesn't use
+const isSavedTime = (value) => value === null || value === undefined || (Number.isFinite(value) && value >= 0);
+
+// Serialize a game into a JSON string. Any extra fields (history, hints and
+// so on) are stored as-is alongside the board.
+export const serializeState = ({ seed, gridSize, grid, moves, timeLeft, ...extra }) =>
+  JSON.stringify({
+    ...extra,
+    seed,
+    gridSize,
+    numbers: gridToNumbers(grid),
+    colors: gridToColors(grid),
+    moves,
+    timeLeft,
+  });
+
+// Restore a game from serializeState output; returns null if it is malformed:
+// a board that isn't every tile once, a missing or damaged move history, or a
+// move count or clock that can't be right
+export const deserializeState = (serialized) => {
+  try {
+    const { numbers, colors, ...state } = JSON.parse(serialized);
+    const size = toSize(state.gridSize);
+    if (!size) return null;
+    const count = getCellCount(size);
+    if (!isPermutation(numbers, count) || !Array.isArray(colors) || colors.length !== count) {
+      return null;
+    }
+    if (
+      !Number.isInteger(state.moves) || state.moves < 0 ||
+      !isSavedTime(state.timeLeft) || !isSavedTime(state.timeElapsed) ||
+      (!Number.isFinite(state.timeLeft) && !Number.isFinite(state.timeElapsed))
+    ) {
+      return null;
+    }
+
+    const grid = buildGrid(numbers, size, colors);
+    if (!isValidHistory(state.history, (cell) => isInBounds(grid, cell))) return null;
+
+    const solved = Array.from({ length: count }, (_, i) => i + 1);
+    return {
+      ...state,
+      grid,
+      targetGrid: buildGrid(solved, size, colors),
+      colors,
+    };
+  } catch (error) {
+    return null;
+  }
+};
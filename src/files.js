@@ -0,0 +1,31 @@
+// Files
+// Sharing files through the system share sheet and reading files the player
+// picks, for exports and imports.
+
+import * as DocumentPicker from 'expo-document-picker';
+import * as FileSystem from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+
+// Write text to a temporary file and open the share sheet for it
+export const shareTextFile = async (filename, contents, mimeType) => {
+  if (!(await Sharing.isAvailableAsync())) {
+    throw new Error('Sharing is not available on this device.');
+  }
+  const uri = `${FileSystem.cacheDirectory}${filename}`;
+  await FileSystem.writeAsStringAsync(uri, contents);
+  await Sharing.shareAsync(uri, {
+    mimeType,
+    dialogTitle: filename,
+    UTI: mimeType === 'text/csv' ? 'public.comma-separated-values-text' : 'public.json',
+  });
+};
+
+// Let the player pick a file and return its text, or null if they cancelled
+export const pickTextFile = async () => {
+  const result = await DocumentPicker.getDocumentAsync({
+    type: ['application/json', 'text/plain', '*/*'],
+    copyToCacheDirectory: true,
+  });
+  if (result.canceled || !result.assets || result.assets.length === 0) return null;
+  return FileSystem.readAsStringAsync(result.assets[0].uri);
+};
@@ -0,0 +1,59 @@
+// Gesture input
+// Tiles can be swiped towards a neighbour or dragged onto another cell, as
+// well as moved with tap-tap. A short flick moves one cell in the direction it
+// points; a longer drag moves to the cell the tile was dropped on. Tile
+// movement is animated by giving each moved tile an offset from its new cell
+// back to where it was drawn, then easing that offset to zero.
+
+// Gestures shorter than this are left to the tap handlers
+export const GESTURE_MIN_DISTANCE = 10;
+
+export const MOVE_ANIMATION_MS = 150;
+
+// Space each tile takes up, margins included, for a given tile size
+export const getCellSpan = (tileSize, margin) => tileSize + margin * 2;
+
+// Cell a gesture from `from` ends on, or null if it was too short to count.
+// dx and dy are the gesture's distance in pixels, cellSpan the size of a cell.
+export const getGestureTarget = (from, { dx, dy }, cellSpan) => {
+  if (Math.max(Math.abs(dx), Math.abs(dy)) < GESTURE_MIN_DISTANCE) return null;
+
+  // Dropped on another cell
+  const rows = Math.round(dy / cellSpan);
+  const cols = Math.round(dx / cellSpan);
+  if (rows !== 0 || cols !== 0) {
+    return { row: from.row + rows, col: from.col + cols };
+  }
+
+  // A flick moves one cell along whichever axis it mostly followed
+  return Math.abs(dx) >= Math.abs(dy)
+    ? { row: from.row, col: from.col + Math.sign(dx) }
+    : { row: from.row + Math.sign(dy), col: from.col };
+};
+
+// The first step of a gesture, one cell from `from` towards `to`
+export const getGestureStep = (from, to) => ({
+  row: from.row + Math.sign(to.row - from.row),
+  col: from.col + Math.sign(to.col - from.col),
+});
+
+// Where each tile that moved between two grids was, relative to where it is
+// now, in pixels. Returns a map of tile number to { x, y }.
+export const getTileOffsets = (oldGrid, newGrid, cellSpan) => {
+  const oldCells = new Map();
+  oldGrid.forEach((row, rowIndex) => row.forEach((tile, colIndex) => {
+    oldCells.set(tile.number, { row: rowIndex, col: colIndex });
+  }));
+
+  const offsets = new Map();
+  newGrid.forEach((row, rowIndex) => row.forEach((tile, colIndex) => {
+    const old = oldCells.get(tile.number);
+    if (old && (old.row !== rowIndex || old.col !== colIndex)) {
+      offsets.set(tile.number, {
+        x: (old.col - colIndex) * cellSpan,
+        y: (old.row - rowIndex) * cellSpan,
+      });
+    }
+  }));
+  return offsets;
+};
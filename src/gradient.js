@@ -0,0 +1,88 @@
+// Color gradient puzzle
+// Arrange tiles by color instead of number: the solved board is a smooth
+// blend between four corner colors, the numbers are hidden, and the corner
+// tiles are anchors that start in place and can't be moved. Tiles keep their
+// numbers underneath (the number of the cell they belong in), so moves,
+// history and replays work as for any other board.
+
+import { hslToRgb, mixRgb, toRgbString } from './colors';
+import { buildGrid, shuffle } from './engine';
+import { solveAnySwapBoard } from './solver';
+import { createRng, normalizeSeed } from './random';
+import { getCellCount } from './sizes';
+
+// Give up on finding a better-mixed board after this many reshuffles
+const MAX_SHUFFLE_ATTEMPTS = 100;
+
+// Corner hues are spread this far apart around the color wheel, going
+// clockwise from the top left
+const CORNER_HUE_STEP = 90;
+
+// Colors for every cell of the solved board, left to right, top to bottom,
+// blended between the four corners. The same seed always gives the same colors.
+export const getGradientColors = ({ rows, cols }, seed) => {
+  const rng = createRng(seed);
+  const baseHue = rng() * 360;
+  const [topLeft, topRight, bottomRight, bottomLeft] = [0, 1, 2, 3].map((corner) =>
+    hslToRgb((baseHue + corner * CORNER_HUE_STEP + rng() * 30) % 360, 60 + rng() * 30, 40 + rng() * 25));
+
+  const colors = [];
+  for (let row = 0; row < rows; row++) {
+    const down = row / (rows - 1);
+    const left = mixRgb(topLeft, bottomLeft, down);
+    const right = mixRgb(topRight, bottomRight, down);
+    for (let col = 0; col < cols; col++) {
+      colors.push(toRgbString(mixRgb(left, right, col / (cols - 1))));
+    }
+  }
+  return colors;
+};
+
+// The corner tiles are anchors. Anchors never move, so a tile's number alone
+// says whether it is one.
+export const isAnchor = (tile, { rows, cols }) => {
+  const index = tile.number - 1;
+  const row = Math.floor(index / cols);
+  const col = index % cols;
+  return (row === 0 || row === rows - 1) && (col === 0 || col === cols - 1);
+};
+
+// Create a new gradient board, shuffling every tile but the anchors. Boards
+// that need fewer than half the free tiles moved are reshuffled, keeping the
+// most mixed board seen.
+export const createGradientBoard = (size, seed) => {
+  const rng = createRng(`${normalizeSeed(seed)}-TILES`);
+  const colors = getGradientColors(size, seed);
+  const numbers = Array.from({ length: getCellCount(size) }, (_, i) => i + 1);
+  const freeCells = numbers
+    .map((_, index) => index)
+    .filter((index) => !isAnchor({ number: index + 1 }, size));
+
+  const shuffleFree = () => {
+    const shuffled = [...numbers];
+    shuffle(freeCells, rng).forEach((from, i) => {
+      shuffled[freeCells[i]] = numbers[from];
+    });
+    return shuffled;
+  };
+  const swapsNeeded = (candidate) => solveAnySwapBoard(candidate, size).swaps.length;
+
+  const minSwaps = Math.ceil(freeCells.length / 2);
+  let best = shuffleFree();
+  let bestSwaps = swapsNeeded(best);
+  for (let attempt = 1; attempt < MAX_SHUFFLE_ATTEMPTS && bestSwaps < minSwaps; attempt++) {
+    const candidate = shuffleFree();
+    const candidateSwaps = swapsNeeded(candidate);
+    if (candidateSwaps > bestSwaps) {
+      best = candidate;
+      bestSwaps = candidateSwaps;
+    }
+  }
+
+  return {
+    grid: buildGrid(best, size, colors),
+    targetGrid: buildGrid(numbers, size, colors),
+    colors,
+    seed: normalizeSeed(seed),
+  };
+};
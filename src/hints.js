@@ -0,0 +1,63 @@
+// Hints
+// A hint reveals the next move of a solution for the current board. Solving
+// can take a while on larger boards, so the solution found for par is kept
+// and followed for as long as the player sticks to it; only a board that has
+// left it is solved again.
+
+import { gridToNumbers } from './engine';
+import { getRules } from './rules';
+
+// Hints allowed per game, as offered on the menu
+export const HINT_BUDGET_OPTIONS = [0, 1, 3, 5];
+export const DEFAULT_HINT_BUDGET = 3;
+
+// Moves added to the counter each time a hint is used
+export const HINT_MOVE_PENALTY = 2;
+
+// Solution for a grid under the given rules, as the grid along with the
+// rule set's solve result; null for rule sets that find hints another way
+export const createSolution = (grid, rules) => {
+  const { solve } = getRules(rules);
+  return solve ? { grid, ...solve(grid) } : null;
+};
+
+// Par for a new board under the given rules, as { moves, optimal, minMoves }
+// with a move count, along with the solution it was found from for hints to
+// follow (null for rule sets that find hints another way)
+export const findPar = (board, rules) => {
+  const solution = createSolution(board.grid, rules);
+  const par = solution
+    ? { moves: solution.moves.length, optimal: solution.optimal, minMoves: solution.minMoves }
+    : getRules(rules).getPar(board);
+  return { par, solution };
+};
+
+// The rest of a solution from the grid as it is now, skipping moves already
+// made; null if the grid isn't on the solution's path
+export const followSolution = (solution, grid, rules) => {
+  const { applyMove } = getRules(rules);
+  const target = gridToNumbers(grid).join();
+  let current = solution.grid;
+  for (let step = 0; step <= solution.moves.length; step++) {
+    if (gridToNumbers(current).join() === target) {
+      return { grid, moves: solution.moves.slice(step) };
+    }
+    if (step < solution.moves.length) {
+      const { from, to } = solution.moves[step];
+      current = applyMove(current, from, to);
+    }
+  }
+  return null;
+};
+
+// Next best move for the board under the given rules as a { from, to } cell
+// pair (null if solved), along with the solution to keep for the next hint.
+// The context holds the game's seed and the moves made so far, which some
+// rule sets need to find a solution.
+export const getHint = (grid, rules, context, solution = null) => {
+  const gameRules = getRules(rules);
+  if (!gameRules.solve) return { hint: gameRules.getHint(grid, context), solution: null };
+
+  const next = (solution && followSolution(solution, grid, rules)) || createSolution(grid, rules);
+  return { hint: next.moves[0] || null, solution: next };
+};
@@ -0,0 +1,58 @@
+// Move history
+// Tracks the moves made in a game so they can be undone and redone. `past` and
+// `future` are the undo/redo stacks; `actions` is the full ordered log of every
+// move applied to the board (including undos and redos) with timestamps, which
+// is what replays and saved games are built from. A move is a { from, to }
+// pair, and the same move with from and to exchanged reverses it.
+
+export const createHistory = () => ({ past: [], future: [], actions: [] });
+
+// Whether a stored history is whole: its undo and redo stacks and its log
+// are lists of moves whose cells pass isCell
+export const isValidHistory = (history, isCell) =>
+  Boolean(history) && [history.past, history.future, history.actions].every((moves) =>
+    Array.isArray(moves) && moves.every((move) => Boolean(move) && isCell(move.from || {}) && isCell(move.to || {})));
+
+export const canUndo = (history) => history.past.length > 0;
+
+export const canRedo = (history) => history.future.length > 0;
+
+const logAction = (history, type, { from, to }, time) => [
+  ...history.actions,
+  { type, from, to, time },
+];
+
+// Record a new swap; this discards anything that could have been redone
+export const recordMove = (history, swap, time) => ({
+  past: [...history.past, swap],
+  future: [],
+  actions: logAction(history, 'move', swap, time),
+});
+
+// Take back the last move. The returned swap is the reversing move, ready to
+// apply to the board, and is what gets logged.
+export const undoMove = (history, time) => {
+  const move = history.past[history.past.length - 1];
+  const swap = { from: move.to, to: move.from };
+  return {
+    swap,
+    history: {
+      past: history.past.slice(0, -1),
+      future: [...history.future, move],
+      actions: logAction(history, 'undo', swap, time),
+    },
+  };
+};
+
+// Re-apply the most recently undone swap
+export const redoMove = (history, time) => {
+  const swap = history.future[history.future.length - 1];
+  return {
+    swap,
+    history: {
+      past: [...history.past, swap],
+      future: history.future.slice(0, -1),
+      actions: logAction(history, 'redo', swap, time),
+    },
+  };
+};
@@ -0,0 +1,28 @@
+// Board layout
+// Tile sizes are worked out from the window as it is now, not as it was at
+// launch, so boards fit after rotating a phone, on tablets, and when a web
+// window is resized. Tall boards are limited by the height left for them.
+
+// Space around each tile on a board
+export const TILE_MARGIN = 5;
+
+// Horizontal space kept clear around the board
+const BOARD_PADDING = 60;
+
+// Share of the window height the game board may take up
+const BOARD_HEIGHT_SHARE = 0.55;
+
+// Keep tiles a comfortable size on large screens
+const MAX_TILE_SIZE = 110;
+
+// Largest tile size that fits a rows x cols board in the window, given the
+// margin around each tile
+export const getTileSize = (window, { rows, cols }, margin, heightShare = BOARD_HEIGHT_SHARE) =>
+  Math.max(1, Math.min(
+    MAX_TILE_SIZE,
+    (window.width - BOARD_PADDING) / cols - margin * 2,
+    (window.height * heightShare) / rows - margin * 2
+  ));
+
+// Number size for a tile, shrinking on small tiles
+export const getTileFontSize = (tileSize) => Math.min(24, Math.round(tileSize / 2.2));
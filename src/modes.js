@@ -0,0 +1,56 @@
+// Game modes
+// Timed games race the clock; Zen games are untimed practice, with the clock
+// counting up and no game over. Separately, a game is played under one of the
+// rule sets in rules.js.
+//
+// Each combination keeps its own leaderboards. Timed swap games keep their
+// original "3x3" style keys; anything else is prefixed with the mode and
+// rules that differ from the defaults, as in "zen-3x3" or "zen-sliding-4x4".
+
+import { DEFAULT_RULES, RULE_SETS, getRulesLabel } from './rules';
+import { getSizeKey } from './sizes';
+
+export const GAME_MODES = [
+  { key: 'timed', label: 'Timed' },
+  { key: 'zen', label: 'Zen' },
+];
+
+export const DEFAULT_MODE = 'timed';
+
+export const isTimed = (mode) => mode !== 'zen';
+
+export const getModeLabel = (mode) =>
+  (GAME_MODES.find(({ key }) => key === mode) || GAME_MODES[0]).label;
+
+// Leaderboard key for a mode, size and rule set
+export const getScoreKey = (mode, gridSize, rules = DEFAULT_RULES) =>
+  [
+    mode !== DEFAULT_MODE && mode,
+    rules !== DEFAULT_RULES && rules,
+    getSizeKey(gridSize),
+  ].filter(Boolean).join('-');
+
+// Name for a mode, size and rule set, giving the mode and rules only where
+// they differ from the defaults, as in "3x3" or "Zen Sliding 4x4"
+export const getScoreLabel = (mode, gridSize, rules = DEFAULT_RULES) =>
+  [
+    mode !== DEFAULT_MODE && getModeLabel(mode),
+    rules !== DEFAULT_RULES && getRulesLabel(rules),
+    getSizeKey(gridSize),
+  ].filter(Boolean).join(' ');
+
+const isOption = (options, key) => options.some((option) => option.key === key);
+
+// Mode, size and rule set from a leaderboard key, or null if it isn't one
+export const parseScoreKey = (key) => {
+  const parts = key.split('-');
+  const gridSize = getSizeKey(parts.pop());
+  if (!gridSize) return null;
+
+  let mode = DEFAULT_MODE;
+  let rules = DEFAULT_RULES;
+  if (parts.length > 0 && isOption(GAME_MODES, parts[0])) mode = parts.shift();
+  if (parts.length > 0 && isOption(RULE_SETS, parts[0])) rules = parts.shift();
+  if (parts.length > 0) return null;
+  return { mode, gridSize, rules };
+};
@@ -0,0 +1,120 @@
+// Tile palettes
+// Boards are generated with their own random colors, which replays and saved
+// games rely on, so palettes only change how tiles are drawn. A palette maps
+// each board color to one of its own by hue order: tiles keep distinct colors
+// in a new order each game, taken from a set that stays apart under color
+// blindness or one that suits the theme. Rule sets whose colors are the
+// puzzle (see keepsColors in rules.js) are always drawn as generated.
+
+import { mixRgb, toRgbString } from './colors';
+
+// Okabe & Ito's palette, distinguishable with every common kind of color
+// blindness
+const OKABE_ITO = [
+  [230, 159, 0],
+  [86, 180, 233],
+  [0, 158, 115],
+  [240, 228, 66],
+  [0, 114, 178],
+  [213, 94, 0],
+  [204, 121, 167],
+  [153, 153, 153],
+];
+
+// Stops along a blue to yellow ramp, which changes in lightness as well as
+// hue so every tile stands apart from its neighbours
+const BLUE_YELLOW = [
+  [68, 1, 84],
+  [59, 82, 139],
+  [33, 145, 140],
+  [94, 201, 98],
+  [253, 231, 37],
+];
+
+// Ramps for the Ocean and Sunset themes, from deep to pale so tiles stay
+// apart by lightness
+const OCEAN = [
+  [8, 48, 107],
+  [33, 113, 181],
+  [46, 196, 182],
+  [158, 240, 200],
+  [240, 252, 255],
+];
+
+const SUNSET = [
+  [84, 13, 110],
+  [180, 38, 84],
+  [238, 66, 102],
+  [250, 150, 60],
+  [255, 230, 120],
+];
+
+// Lighter and darker copies of a palette's colors on later passes, once every
+// color has been used; enough passes for the largest boards
+const SHADE_STEPS = [0, -0.35, 0.35, -0.6, 0.6, -0.2, 0.2, 0.75];
+
+const shade = (rgb, amount) =>
+  rgb.map((value) => (amount < 0 ? value * (1 + amount) : value + (255 - value) * amount));
+
+// Okabe-Ito colors, cycling through shades past the eighth tile
+const sampleOkabeIto = (count) =>
+  Array.from({ length: count }, (_, i) => {
+    const pass = Math.floor(i / OKABE_ITO.length) % SHADE_STEPS.length;
+    return toRgbString(shade(OKABE_ITO[i % OKABE_ITO.length], SHADE_STEPS[pass]));
+  });
+
+// Evenly spaced colors along a ramp
+const sampleRamp = (ramp) => (count) =>
+  Array.from({ length: count }, (_, i) => {
+    const position = count > 1 ? (i / (count - 1)) * (ramp.length - 1) : 0;
+    const stop = Math.min(ramp.length - 2, Math.floor(position));
+    return toRgbString(mixRgb(ramp[stop], ramp[stop + 1], position - stop));
+  });
+
+export const TILE_PALETTES = [
+  { key: 'standard', label: 'Standard', sample: null },
+  { key: 'colorSafe', label: 'Color-Blind Safe', sample: sampleOkabeIto },
+  { key: 'blueYellow', label: 'Blue-Yellow', sample: sampleRamp(BLUE_YELLOW) },
+  { key: 'ocean', label: 'Ocean', sample: sampleRamp(OCEAN) },
+  { key: 'sunset', label: 'Sunset', sample: sampleRamp(SUNSET) },
+];
+
+// Setting that draws tiles with the current theme's palette
+export const THEME_PALETTE = 'theme';
+
+// Palette choices as offered in settings
+export const PALETTE_OPTIONS = [
+  { key: THEME_PALETTE, label: 'Match Theme' },
+  ...TILE_PALETTES.map(({ key, label }) => ({ key, label })),
+];
+
+export const DEFAULT_PALETTE = THEME_PALETTE;
+
+const getPalette = (key) =>
+  TILE_PALETTES.find((palette) => palette.key === key) || TILE_PALETTES[0];
+
+// The palette a setting draws with, given the theme's own palette
+export const resolvePalette = (setting, themePalette) =>
+  setting === THEME_PALETTE ? themePalette : setting;
+
+// Hue of a generated "hsl(...)" color, or 0 for anything else
+const getHue = (color) => {
+  const match = /^hsl\(\s*([\d.]+)/.exec(color);
+  return match ? parseFloat(match[1]) : 0;
+};
+
+// Colors to draw a board's tiles with, indexed like the board's colors
+export const getPaletteColors = (colors, key) => {
+  const { sample } = getPalette(key);
+  if (!sample) return colors;
+
+  const sampled = sample(colors.length);
+  const byHue = colors
+    .map((color, index) => ({ hue: getHue(color), index }))
+    .sort((a, b) => a.hue - b.hue);
+  const mapped = [];
+  byHue.forEach(({ index }, rank) => {
+    mapped[index] = sampled[rank];
+  });
+  return mapped;
+};
@@ -0,0 +1,11 @@
+// Peeking at the target
+// A peek shows the solved board in place of the game board for a few
+// seconds, a limited number of times per game. Easy mode instead keeps a small
+// copy of the solved board on screen all game, and its wins aren't ranked.
+
+export const PEEKS_PER_GAME = 3;
+
+export const PEEK_DURATION_MS = 3000;
+
+// Width of the easy mode mini-map
+export const MINI_MAP_WIDTH = 120;
@@ -0,0 +1,45 @@
+// Player profiles
+// Several people can share a device, each with their own name, settings and
+// scores. Profiles are kept as { activeId, list } and updated immutably.
+
+import { DEFAULT_SETTINGS } from './settings';
+
+export const MAX_NAME_LENGTH = 20;
+
+export const createProfiles = () => ({ activeId: null, list: [] });
+
+export const createProfile = (name, settings = {}) => ({
+  id: `p${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+  name: name.trim().slice(0, MAX_NAME_LENGTH),
+  createdAt: new Date().toISOString(),
+  settings: { ...DEFAULT_SETTINGS, ...settings },
+});
+
+export const getActiveProfile = (profiles) =>
+  profiles.list.find((profile) => profile.id === profiles.activeId) || null;
+
+// Names are compared without case or surrounding spaces
+export const isNameTaken = (profiles, name) =>
+  profiles.list.some((profile) => profile.name.toLowerCase() === name.trim().toLowerCase());
+
+// Add a profile and make it the active one
+export const addProfile = (profiles, profile) => ({
+  activeId: profile.id,
+  list: [...profiles.list, profile],
+});
+
+export const switchProfile = (profiles, id) => ({ ...profiles, activeId: id });
+
+// Remove a profile; if it was active, the first remaining profile takes over
+export const removeProfile = (profiles, id) => {
+  const list = profiles.list.filter((profile) => profile.id !== id);
+  const activeId = profiles.activeId === id ? (list[0] ? list[0].id : null) : profiles.activeId;
+  return { activeId, list };
+};
+
+export const updateProfileSettings = (profiles, id, changes) => ({
+  ...profiles,
+  list: profiles.list.map((profile) =>
+    profile.id === id ? { ...profile, settings: { ...profile.settings, ...changes } } : profile
+  ),
+});
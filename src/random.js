@@ -0,0 +1,40 @@
+// Seeded random number generation
+// Every board is derived from a seed so games can be replayed, shared and
+// reproduced exactly.
+
+const SEED_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const SEED_LENGTH = 6;
+
+// Seeds are case-insensitive and ignore surrounding whitespace
+export const normalizeSeed = (seed) => String(seed).trim().toUpperCase();
+
+// Generate a short, easy to type seed
+export const randomSeed = () => {
+  let seed = '';
+  for (let i = 0; i < SEED_LENGTH; i++) {
+    seed += SEED_ALPHABET[Math.floor(Math.random() * SEED_ALPHABET.length)];
+  }
+  return seed;
+};
+
+// Hash a seed string into a 32-bit integer (FNV-1a)
+const hashSeed = (seed) => {
+  let hash = 2166136261;
+  for (let i = 0; i < seed.length; i++) {
+    hash ^= seed.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+};
+
+// Create a PRNG (mulberry32) returning floats in [0, 1), like Math.random
+export const createRng = (seed) => {
+  let state = hashSeed(normalizeSeed(seed));
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
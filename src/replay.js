@@ -0,0 +1,73 @@
+// Replays
+// A finished game is stored as a compact, versioned record: the seed and
+// starting board, then every swap as [fromIndex, toIndex, msSinceStart] using
+// flat row-major cell indices, then the result. Undos and redos are moves too,
+// so replaying the steps in order reproduces the game exactly. Games record
+// their rules, which say what each step does.
+
+import { getBoardColors, isPermutation, toCell, toIndex } from './engine';
+import { getRules } from './rules';
+import { getCellCount, getSizeKey, toSize } from './sizes';
+
+export const REPLAY_VERSION = 1;
+
+// Board size as { rows, cols }
+export const getReplaySize = (replay) => toSize(replay.size);
+
+// Build a replay from a game's history actions
+export const createReplay = ({ seed, gridSize, rules, startNumbers, actions, startTime, result }) => ({
+  v: REPLAY_VERSION,
+  seed,
+  size: getSizeKey(gridSize),
+  rules,
+  board: startNumbers,
+  steps: actions.map(({ from, to, time }) => [
+    toIndex(from, toSize(gridSize).cols),
+    toIndex(to, toSize(gridSize).cols),
+    time - startTime,
+  ]),
+  result,
+});
+
+const isCellIndex = (index, count) => Number.isInteger(index) && index >= 0 && index < count;
+
+// Whether a replay can be played back: a known version whose board holds
+// every tile once and whose steps stay on the board
+export const isValidReplay = (replay) => {
+  if (!replay || replay.v !== REPLAY_VERSION || !getReplaySize(replay)) return false;
+  const count = getCellCount(getReplaySize(replay));
+  return (
+    isPermutation(replay.board, count) &&
+    Array.isArray(replay.steps) &&
+    replay.steps.every((step) =>
+      Array.isArray(step) && step.length === 3 && step.slice(0, 2).every((index) => isCellIndex(index, count)))
+  );
+};
+
+const toRows = (numbers, { rows, cols }) =>
+  Array.from({ length: rows }, (_, row) => numbers.slice(row * cols, (row + 1) * cols));
+
+// Board numbers before the first step and after each step
+export const getReplayFrames = (replay) => {
+  const { applyMove } = getRules(replay.rules);
+  const size = getReplaySize(replay);
+  const frames = [replay.board];
+  replay.steps.forEach(([from, to]) => {
+    const rows = toRows(frames[frames.length - 1], size);
+    frames.push(applyMove(rows, toCell(from, size.cols), toCell(to, size.cols)).flat());
+  });
+  return frames;
+};
+
+// Cells moved by a step, as { from, to }
+export const getStepCells = (replay, stepIndex) => {
+  const size = getReplaySize(replay);
+  const [from, to] = replay.steps[stepIndex];
+  return { from: toCell(from, size.cols), to: toCell(to, size.cols) };
+};
+
+// The game's original tile colors
+export const getReplayColors = (replay) => {
+  const { getColors = getBoardColors } = getRules(replay.rules);
+  return getColors(getReplaySize(replay), replay.seed);
+};
@@ -0,0 +1,250 @@
+// Row and column rotation
+// Under rotation rules a move shifts a whole row or column one step, with the
+// tile pushed off one end wrapping round to the other. A move is given as the
+// tile's cell and the neighbouring cell it moves to, so the two ends of a line
+// count as neighbours. Moving the tile back reverses the rotation.
+//
+// Rotations can't reach every arrangement (when both sides are odd every
+// rotation is an even permutation), so boards are made by scrambling a solved
+// board with random rotations. Par is the shortest solution when a search
+// finds it within budget, and otherwise the scramble length as an estimate.
+
+import { buildGrid, checkWin, generateDistinctColors, gridToNumbers } from './engine';
+import { createRng, normalizeSeed } from './random';
+import { getCellCount, getGridSize } from './sizes';
+
+// Rotations used to scramble a board: twice the number of lines, less six
+// (6 for 3x3, 18 for 6x6)
+const getScrambleMoves = ({ rows, cols }) => 2 * (rows + cols) - 6;
+
+// Search budget for par and hints before falling back on the scramble. Most
+// boards up to 4x4 finish well within it; larger boards almost never do, so
+// they aren't searched at all.
+const MAX_SEARCH_NODES = 20000;
+const MAX_SEARCH_TILES = 16;
+
+// Steps from a to b along a line of the given length, wrapping at the ends:
+// 1 or -1 when they are neighbours, otherwise 0
+const wrapStep = (a, b, length) => {
+  const step = (b - a + length) % length;
+  if (step === 1) return 1;
+  if (step === length - 1) return -1;
+  return 0;
+};
+
+// A rotation moves a tile to a neighbouring cell in its row or column
+export const isValidRotation = (grid, from, to) => {
+  const { rows, cols } = getGridSize(grid);
+  const inBounds = [from, to].every(({ row, col }) => row >= 0 && row < rows && col >= 0 && col < cols);
+  if (!inBounds) return false;
+  if (from.row === to.row) return wrapStep(from.col, to.col, cols) !== 0;
+  if (from.col === to.col) return wrapStep(from.row, to.row, rows) !== 0;
+  return false;
+};
+
+// Rotate the line holding `from` so its tile moves to `to`, returning a new
+// grid. Works on any rectangular grid of values.
+export const applyRotation = (grid, from, to) => {
+  const { rows, cols } = getGridSize(grid);
+  const newGrid = grid.map((row) => [...row]);
+  if (from.row === to.row) {
+    const step = wrapStep(from.col, to.col, cols);
+    for (let col = 0; col < cols; col++) {
+      newGrid[from.row][(col + step + cols) % cols] = grid[from.row][col];
+    }
+  } else {
+    const step = wrapStep(from.row, to.row, rows);
+    for (let row = 0; row < rows; row++) {
+      newGrid[(row + step + rows) % rows][from.col] = grid[row][from.col];
+    }
+  }
+  return newGrid;
+};
+
+// Every distinct rotation, as { from, to } moves: each line, both directions
+const getRotations = ({ rows, cols }) => {
+  const rotations = [];
+  for (let row = 0; row < rows; row++) {
+    rotations.push({ from: { row, col: 0 }, to: { row, col: 1 } });
+    rotations.push({ from: { row, col: 1 }, to: { row, col: 0 } });
+  }
+  for (let col = 0; col < cols; col++) {
+    rotations.push({ from: { row: 0, col }, to: { row: 1, col } });
+    rotations.push({ from: { row: 1, col }, to: { row: 0, col } });
+  }
+  return rotations;
+};
+
+// The line a rotation turns, which way it turns it, and the line's length
+const describeRotation = ({ from, to }, { rows, cols }) =>
+  (from.row === to.row
+    ? { line: `r${from.row}`, step: wrapStep(from.col, to.col, cols), length: cols }
+    : { line: `c${from.col}`, step: wrapStep(from.row, to.row, rows), length: rows });
+
+// A rotation as its line and direction, so different cells naming the same
+// rotation compare equal
+const rotationKey = (rotation, size) => {
+  const { line, step } = describeRotation(rotation, size);
+  return `${line}${step}`;
+};
+
+const invert = ({ from, to }) => ({ from: to, to: from });
+
+const isInverse = (a, b, size) => rotationKey(a, size) === rotationKey(invert(b), size);
+
+// Random rotations that don't waste moves. Turns of parallel lines can be
+// made in any order, so within a run of row turns (or column turns) each
+// line only ever turns one way, and never more than half its length, past
+// which turning it the other way would be shorter.
+const scramble = (size, rng) => {
+  const rotations = getRotations(size);
+  const moves = [];
+  // Net turn of each line in the current run, and whether the run is of rows
+  let turns = new Map();
+  let turningRows = null;
+  while (moves.length < getScrambleMoves(size)) {
+    const move = rotations[Math.floor(rng() * rotations.length)];
+    const { line, step, length } = describeRotation(move, size);
+    const isRow = move.from.row === move.to.row;
+    const runTurns = isRow === turningRows ? turns : new Map();
+    const turned = runTurns.get(line) || 0;
+    const next = turned + step;
+    if (Math.abs(next) < Math.abs(turned) || Math.abs(next) > Math.floor(length / 2)) continue;
+
+    runTurns.set(line, next);
+    turns = runTurns;
+    turningRows = isRow;
+    moves.push(move);
+  }
+  return moves;
+};
+
+// Create a new rotation board along with the scramble that made it. Like
+// createBoard, colors are drawn first so replays can recover them.
+export const createRotationBoard = (size, seed) => {
+  const rng = createRng(seed);
+  const count = getCellCount(size);
+  const colors = generateDistinctColors(count, rng);
+  const numbers = Array.from({ length: count }, (_, i) => i + 1);
+  const targetGrid = buildGrid(numbers, size, colors);
+
+  let moves;
+  let grid;
+  do {
+    moves = scramble(size, rng);
+    grid = moves.reduce((current, { from, to }) => applyRotation(current, from, to), targetGrid);
+  } while (checkWin(grid));
+
+  return { grid, targetGrid, colors, seed: normalizeSeed(seed), scramble: moves };
+};
+
+// Toroidal distance of each tile from home. A rotation moves at most
+// max(rows, cols) tiles one step, so the total divided by that never
+// overestimates the moves left.
+const estimateMoves = (numbers, { rows, cols }) => {
+  const total = numbers.reduce((sum, number, index) => {
+    const target = number - 1;
+    const rowSteps = Math.abs(Math.floor(index / cols) - Math.floor(target / cols));
+    const colSteps = Math.abs((index % cols) - (target % cols));
+    return sum + Math.min(rowSteps, rows - rowSteps) + Math.min(colSteps, cols - colSteps);
+  }, 0);
+  return Math.ceil(total / Math.max(rows, cols));
+};
+
+// Flat indices of each rotation's line, in the order its tiles move along
+const getRotationLines = (rotations, { rows, cols }) =>
+  rotations.map(({ from, to }) => {
+    const cells = from.row === to.row
+      ? Array.from({ length: cols }, (_, i) => from.row * cols + i)
+      : Array.from({ length: rows }, (_, i) => i * cols + from.col);
+    const forward = from.row === to.row
+      ? wrapStep(from.col, to.col, cols) === 1
+      : wrapStep(from.row, to.row, rows) === 1;
+    return forward ? cells : cells.reverse();
+  });
+
+// Move every tile in a line one cell along it, in place
+const rotateLine = (numbers, cells) => {
+  const last = numbers[cells[cells.length - 1]];
+  for (let i = cells.length - 1; i > 0; i--) numbers[cells[i]] = numbers[cells[i - 1]];
+  numbers[cells[0]] = last;
+};
+
+const unrotateLine = (numbers, cells) => {
+  const first = numbers[cells[0]];
+  for (let i = 0; i < cells.length - 1; i++) numbers[cells[i]] = numbers[cells[i + 1]];
+  numbers[cells[cells.length - 1]] = first;
+};
+
+// Shortest solution by IDA* search (null past the node budget, or for boards
+// too large to search), along with the last bound searched, which no solution
+// can beat
+const searchRotations = (grid, maxNodes) => {
+  const size = getGridSize(grid);
+  const numbers = gridToNumbers(grid);
+  if (numbers.length > MAX_SEARCH_TILES) return { path: null, bound: estimateMoves(numbers, size) };
+
+  const rotations = getRotations(size);
+  const lines = getRotationLines(rotations, size);
+  const path = [];
+  let nodes = 0;
+
+  const search = (depth, bound) => {
+    const remaining = estimateMoves(numbers, size);
+    if (depth + remaining > bound) return depth + remaining;
+    if (remaining === 0) return true;
+    if (++nodes > maxNodes) return null;
+
+    let next = Infinity;
+    for (let i = 0; i < rotations.length; i++) {
+      if (path.length > 0 && isInverse(path[path.length - 1], rotations[i], size)) continue;
+      rotateLine(numbers, lines[i]);
+      path.push(rotations[i]);
+      const result = search(depth + 1, bound);
+      if (result === true || result === null) return result;
+      path.pop();
+      unrotateLine(numbers, lines[i]);
+      next = Math.min(next, result);
+    }
+    return next;
+  };
+
+  let bound = estimateMoves(numbers, size);
+  for (;;) {
+    const result = search(0, bound);
+    if (result === true) return { path, bound };
+    if (result === null) return { path: null, bound };
+    bound = result;
+  }
+};
+
+// Par for a rotation board as { moves, optimal, minMoves }: the shortest
+// solution when the search finishes, otherwise the scramble, which always
+// solves the board but may not be the fewest moves
+export const getRotationPar = ({ grid, scramble: scrambleMoves }) => {
+  const { path, bound } = searchRotations(grid, MAX_SEARCH_NODES);
+  return path
+    ? { moves: path.length, optimal: true, minMoves: path.length }
+    : { moves: scrambleMoves.length, optimal: false, minMoves: bound };
+};
+
+// Next rotation towards solving the board, or null if it is solved. Searches
+// for the shortest solution first; past the budget, or on boards too large to
+// search, retraces the player's moves and then the scramble, which always
+// solves the board.
+export const getRotationHint = (grid, { scramble: scrambleMoves, moves }) => {
+  if (checkWin(grid)) return null;
+  const { path } = searchRotations(grid, MAX_SEARCH_NODES);
+  if (path) return path[0];
+
+  const size = getGridSize(grid);
+  const applied = [];
+  [...scrambleMoves, ...moves].forEach((move) => {
+    if (applied.length > 0 && isInverse(applied[applied.length - 1], move, size)) {
+      applied.pop();
+    } else {
+      applied.push(move);
+    }
+  });
+  return applied.length > 0 ? invert(applied[applied.length - 1]) : null;
+};
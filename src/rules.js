@@ -0,0 +1,141 @@
+// Rule sets
+// Each way of playing is a rule set: how a board is made, which moves are
+// allowed and what they do, and how par and hints are worked out. Every move
+// is a { from, to } pair of cells, and moving from `to` back to `from`
+// reverses it, which is all undo, redo, replays and saved games rely on.
+//
+// Rule sets with a solver provide solve, which par and hints are taken from:
+// the moves that solve a grid, whether they are known to be the fewest, and
+// the fewest the grid could take. The others work out par, in the same form
+// with a move count, and hints themselves.
+// Rule sets where a single tap moves tiles provide getTapMoves; the others
+// use a tap on a tile and then a tap on its destination. Tiles a rule set
+// never moves are marked by isFixed, and hideNumbers rule sets are played by
+// color alone, so keepsColors stops tile palettes from redrawing them. Every
+// board is solved when it matches its targetGrid.
+
+import {
+  applySwap,
+  createBoard,
+  getTimeLimit,
+  gridToNumbers,
+  isInBounds,
+  isValidMove,
+} from './engine';
+import { solveAnySwapBoard, solveBoard } from './solver';
+import { createSlidingBoard, getSlideSwaps, getSlidingTimeLimit } from './sliding';
+import { solveSlidingBoard } from './slidingSolver';
+import { createGradientBoard, getGradientColors, isAnchor } from './gradient';
+import {
+  applyRotation,
+  createRotationBoard,
+  getRotationHint,
+  getRotationPar,
+  isValidRotation,
+} from './rotation';
+import { getGridSize } from './sizes';
+
+// Diagonal search branches more, so it gets a smaller budget
+const DIAGONAL_MAX_NODES = 10000;
+
+// Cells touching, diagonals included
+const isKingAdjacent = (a, b) =>
+  !(a.row === b.row && a.col === b.col) &&
+  Math.abs(a.row - b.row) <= 1 && Math.abs(a.col - b.col) <= 1;
+
+// A solver's result as a rule set's solution
+const toSolution = ({ swaps, optimal, minSwaps }) => ({ moves: swaps, optimal, minMoves: minSwaps });
+
+const solveSwaps = (grid) =>
+  toSolution(solveBoard(gridToNumbers(grid), getGridSize(grid)));
+
+const solveDiagonalSwaps = (grid) =>
+  toSolution(solveBoard(gridToNumbers(grid), getGridSize(grid), { diagonal: true, maxNodes: DIAGONAL_MAX_NODES }));
+
+const solveAnySwaps = (grid) =>
+  toSolution(solveAnySwapBoard(gridToNumbers(grid), getGridSize(grid)));
+
+const solveSlides = (grid) =>
+  toSolution(solveSlidingBoard(gridToNumbers(grid), getGridSize(grid)));
+
+const RULES = {
+  swap: {
+    label: 'Swap',
+    instructions: 'You can only swap adjacent tiles (up-down, left-right).',
+    createBoard,
+    isValidMove,
+    applyMove: applySwap,
+    getTimeLimit,
+    solve: solveSwaps,
+  },
+  diagonal: {
+    label: 'Diagonal',
+    instructions: 'Swap any two touching tiles, including diagonally.',
+    createBoard,
+    isValidMove: (grid, from, to) =>
+      isInBounds(grid, from) && isInBounds(grid, to) && isKingAdjacent(from, to),
+    applyMove: applySwap,
+    getTimeLimit,
+    solve: solveDiagonalSwaps,
+  },
+  any: {
+    label: 'Any Swap',
+    instructions: 'Swap any two tiles, wherever they are. Solve it in as few swaps as you can.',
+    createBoard,
+    isValidMove: (grid, from, to) => isInBounds(grid, from) && isInBounds(grid, to),
+    applyMove: applySwap,
+    getTimeLimit,
+    solve: solveAnySwaps,
+  },
+  rotate: {
+    label: 'Rotate',
+    instructions: 'Select a tile, then a neighbour in its row or column, to rotate that whole line. Tiles wrap around the edges.',
+    createBoard: createRotationBoard,
+    isValidMove: isValidRotation,
+    applyMove: applyRotation,
+    // Lines are harder to reason about than swaps, so allow twice as long
+    getTimeLimit: (size) => getTimeLimit(size) * 2,
+    getPar: getRotationPar,
+    getHint: (grid, { seed, moves }) =>
+      getRotationHint(grid, { scramble: createRotationBoard(getGridSize(grid), seed).scramble, moves }),
+  },
+  gradient: {
+    label: 'Gradient',
+    instructions: 'Arrange the colors into a smooth blend between the four corners. Corner tiles are fixed in place.',
+    hideNumbers: true,
+    keepsColors: true,
+    createBoard: createGradientBoard,
+    getColors: getGradientColors,
+    isFixed: isAnchor,
+    isValidMove: (grid, from, to) =>
+      isInBounds(grid, from) && isInBounds(grid, to) &&
+      !isAnchor(grid[from.row][from.col], getGridSize(grid)) &&
+      !isAnchor(grid[to.row][to.col], getGridSize(grid)),
+    applyMove: applySwap,
+    // Telling close colors apart takes longer than reading numbers
+    getTimeLimit: (size) => getTimeLimit(size) * 2,
+    solve: solveAnySwaps,
+  },
+  sliding: {
+    label: 'Sliding',
+    instructions: 'Tap a tile in line with the gap to slide it, and any tiles between, into the gap.',
+    createBoard: createSlidingBoard,
+    isValidMove: () => false,
+    getTapMoves: getSlideSwaps,
+    applyMove: applySwap,
+    getTimeLimit: getSlidingTimeLimit,
+    solve: solveSlides,
+  },
+};
+
+export const DEFAULT_RULES = 'swap';
+
+// Rule sets as offered on the menu
+export const RULE_SETS = Object.entries(RULES).map(([key, { label }]) => ({ key, label }));
+
+// The rule set for a key, falling back to the default for unknown keys
+export const getRules = (key) => RULES[key] || RULES[DEFAULT_RULES];
+
+export const getRulesLabel = (key) => getRules(key).label;
+
+export const isSliding = (key) => key === 'sliding';
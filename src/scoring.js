@@ -0,0 +1,91 @@
+// Scoring
+// Every win gets a composite score:
+//
+//   score = round(sizeMultiplier * (1000 * efficiency + 10 * timeRemaining) - 100 * hintsUsed)
+//
+// efficiency     par / moves, capped at 1 (1.0 when solved in par or better);
+//                when par is only an estimate, the fewest moves the board was
+//                proven to need stands in for it
+// timeRemaining  seconds left on the clock, to a tenth; 0 for untimed games
+// sizeMultiplier tiles / 9, so 3x3 = 1, 4x4 ≈ 1.78, 3x5 ≈ 1.67, 6x6 = 4
+// hintsUsed      each hint costs a flat 100 points on top of its move penalty
+//
+// Scores never go below zero. Entries saved before par was recorded count as
+// solved in par. Entries mark an estimated par with parIsEstimate, and show it
+// as "≤N". Untimed entries record timeTaken instead of timeRemaining, and
+// rank by it on the time sort.
+
+import { getCellCount } from './sizes';
+
+const EFFICIENCY_POINTS = 1000;
+const POINTS_PER_SECOND = 10;
+const POINTS_PER_HINT = 100;
+
+// Sort options for the high scores list
+export const SCORE_SORTS = [
+  { key: 'score', label: 'Score' },
+  { key: 'moves', label: 'Moves' },
+  { key: 'time', label: 'Time' },
+];
+
+// Number of entries shown for each size and sort
+export const SCORES_SHOWN = 5;
+
+export const getSizeMultiplier = (gridSize) => getCellCount(gridSize) / 9;
+
+export const computeScore = ({ moves, timeRemaining = 0, par, hintsUsed = 0, gridSize }) => {
+  const efficiency = par && moves > 0 ? Math.min(1, par / moves) : 1;
+  const points =
+    getSizeMultiplier(gridSize) * (EFFICIENCY_POINTS * efficiency + POINTS_PER_SECOND * timeRemaining) -
+    POINTS_PER_HINT * hintsUsed;
+  return Math.max(0, Math.round(points));
+};
+
+// The move count efficiency is scored against for a game's par: par itself
+// when it is known to be the fewest moves, otherwise the proven minimum
+export const getScoringPar = ({ moves, optimal, minMoves }) => (optimal ? moves : minMoves);
+
+// Par as shown to the player, marked when it is an estimate
+export const formatPar = (par, isEstimate) => (isEstimate ? `≤${par}` : `${par}`);
+
+// Time shown for an entry or replay result
+export const formatEntryTime = (entry) =>
+  (entry.timeTaken !== undefined ? `${entry.timeTaken}s` : `${entry.timeRemaining}s left`);
+
+// Score for a saved entry, computing it for entries saved before scores were stored
+export const getEntryScore = (entry, gridSize) =>
+  entry.score !== undefined ? entry.score : computeScore({ ...entry, gridSize });
+
+// Higher is better: more time left, or less time taken for untimed entries
+const getTimeRank = (entry) =>
+  (entry.timeTaken !== undefined ? -entry.timeTaken : entry.timeRemaining);
+
+const COMPARATORS = {
+  score: (gridSize) => (a, b) => getEntryScore(b, gridSize) - getEntryScore(a, gridSize),
+  moves: () => (a, b) => a.moves - b.moves || getTimeRank(b) - getTimeRank(a),
+  time: () => (a, b) => getTimeRank(b) - getTimeRank(a) || a.moves - b.moves,
+};
+
+// Entries ordered best first by the given sort key
+export const rankScores = (entries, sortBy, gridSize) =>
+  [...entries].sort(COMPARATORS[sortBy](gridSize));
+
+// Keep every entry that makes a player's own top list under at least one
+// sort, so each sort option still shows a full and correct leaderboard, both
+// for everyone and filtered to a single player. Entries saved before profiles
+// count as one player.
+export const keepTopScores = (entries, gridSize, limit = SCORES_SHOWN) => {
+  const byProfile = new Map();
+  entries.forEach((entry) => {
+    const profileEntries = byProfile.get(entry.profileId) || [];
+    byProfile.set(entry.profileId, [...profileEntries, entry]);
+  });
+
+  const kept = new Set();
+  byProfile.forEach((profileEntries) => {
+    SCORE_SORTS.forEach(({ key }) => {
+      rankScores(profileEntries, key, gridSize).slice(0, limit).forEach((entry) => kept.add(entry));
+    });
+  });
+  return rankScores([...kept], 'score', gridSize);
+};
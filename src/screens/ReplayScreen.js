@@ -0,0 +1,249 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  useWindowDimensions,
+} from 'react-native';
+import { buildGrid } from '../engine';
+import { TILE_MARGIN, getTileFontSize, getTileSize } from '../layout';
+import { getTileLabel } from '../accessibility';
+import { getReadableTextColor } from '../colors';
+import { getPaletteColors } from '../palettes';
+import { getReplayColors, getReplayFrames, getReplaySize, getStepCells } from '../replay';
+import { formatEntryTime } from '../scoring';
+import { getRules, getRulesLabel, isSliding } from '../rules';
+import { isBlank } from '../sliding';
+import { getSizeKey } from '../sizes';
+
+// Delay between steps while playing
+const STEP_INTERVAL = 600;
+
+// Replay viewer: steps through a finished game with play/pause and scrubbing
+const ReplayScreen = ({ replay, theme, palette, onClose }) => {
+  const [step, setStep] = useState(0);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [trackWidth, setTrackWidth] = useState(0);
+  const windowSize = useWindowDimensions();
+
+  const frames = useMemo(() => getReplayFrames(replay), [replay]);
+  const colors = useMemo(() => getReplayColors(replay), [replay]);
+  // Palettes recolor boards unless the colors are the puzzle
+  const drawColors = useMemo(
+    () => (getRules(replay.rules).keepsColors ? colors : getPaletteColors(colors, palette)),
+    [replay, colors, palette]
+  );
+  const lastStep = frames.length - 1;
+
+  // Playback effect
+  useEffect(() => {
+    if (!isPlaying) return undefined;
+    if (step >= lastStep) {
+      setIsPlaying(false);
+      return undefined;
+    }
+
+    const timer = setTimeout(() => setStep(step + 1), STEP_INTERVAL);
+    return () => clearTimeout(timer);
+  }, [isPlaying, step, lastStep]);
+
+  const togglePlay = () => {
+    // Start over when play is pressed at the end
+    if (!isPlaying && step >= lastStep) setStep(0);
+    setIsPlaying(!isPlaying);
+  };
+
+  const goToStep = (newStep) => {
+    setIsPlaying(false);
+    setStep(Math.max(0, Math.min(lastStep, newStep)));
+  };
+
+  // Jump to the step under the touch point on the progress bar
+  const handleScrub = (event) => {
+    if (trackWidth === 0) return;
+    goToStep(Math.round((event.nativeEvent.locationX / trackWidth) * lastStep));
+  };
+
+  const size = getReplaySize(replay);
+  const grid = buildGrid(frames[step], size, colors);
+  const swapped = step > 0 ? getStepCells(replay, step - 1) : null;
+  const tileSize = getTileSize(windowSize, size, TILE_MARGIN);
+
+  // Render tile
+  const renderTile = (tile, row, col) => {
+    const isSwapped = swapped !== null &&
+      [swapped.from, swapped.to].some((cell) => cell.row === row && cell.col === col);
+    const isGap = isSliding(replay.rules) && isBlank(tile, size);
+    const { hideNumbers } = getRules(replay.rules);
+    const color = drawColors[tile.number - 1];
+
+    return (
+      <View
+        key={`${row}-${col}`}
+        accessible={true}
+        accessibilityLabel={getTileLabel(tile, row, col, { selected: isSwapped, hidden: hideNumbers, gap: isGap })}
+        style={[
+          styles.tile,
+          {
+            backgroundColor: isGap ? 'transparent' : color,
+            width: tileSize,
+            height: tileSize,
+            borderColor: isSwapped ? theme.selectedTile : theme.border,
+            borderWidth: isSwapped ? 3 : 1,
+          },
+        ]}
+      >
+        {!isGap && !hideNumbers && (
+          <Text style={[styles.tileText, { color: getReadableTextColor(color), fontSize: getTileFontSize(tileSize) }]}>
+            {tile.number}
+          </Text>
+        )}
+      </View>
+    );
+  };
+
+  const { result } = replay;
+
+  return (
+    <View style={[styles.container, { backgroundColor: theme.background }]}>
+      <Text style={[styles.title, { color: theme.text }]}>Replay</Text>
+      <Text style={[styles.details, { color: theme.text }]}>
+        {getSizeKey(size)}{replay.rules ? ` ${getRulesLabel(replay.rules)}` : ''} • Seed {replay.seed}
+        {result ? ` • ${result.moves} moves, ${formatEntryTime(result)}` : ''}
+      </Text>
+
+      <View style={styles.gridContainer}>
+        {grid.map((row, rowIndex) => (
+          <View key={rowIndex} style={styles.row}>
+            {row.map((tile, colIndex) => renderTile(tile, rowIndex, colIndex))}
+          </View>
+        ))}
+      </View>
+
+      <Text style={[styles.details, { color: theme.text }]}>
+        Step {step} / {lastStep}
+      </Text>
+
+      <TouchableOpacity
+        activeOpacity={1}
+        onPress={handleScrub}
+        onLayout={(event) => setTrackWidth(event.nativeEvent.layout.width)}
+        style={[styles.track, { backgroundColor: theme.button }]}
+      >
+        <View
+          pointerEvents="none"
+          style={[
+            styles.trackFill,
+            {
+              backgroundColor: theme.selectedTile,
+              width: lastStep > 0 ? `${(step / lastStep) * 100}%` : '100%',
+            },
+          ]}
+        />
+      </TouchableOpacity>
+
+      <View style={styles.controls}>
+        <TouchableOpacity
+          style={[styles.controlButton, { backgroundColor: theme.button }]}
+          onPress={() => goToStep(step - 1)}
+        >
+          <Text style={[styles.buttonText, { color: theme.buttonText }]}>◀</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.controlButton, styles.playButton, { backgroundColor: theme.selectedTile }]}
+          onPress={togglePlay}
+        >
+          <Text style={[styles.buttonText, { color: theme.selectedText }]}>{isPlaying ? 'Pause' : 'Play'}</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.controlButton, { backgroundColor: theme.button }]}
+          onPress={() => goToStep(step + 1)}
+        >
+          <Text style={[styles.buttonText, { color: theme.buttonText }]}>▶</Text>
+        </TouchableOpacity>
+      </View>
+
+      <TouchableOpacity
+        style={[styles.button, { backgroundColor: theme.button }]}
+        onPress={onClose}
+      >
+        <Text style={[styles.buttonText, { color: theme.buttonText }]}>Close</Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+// Styles
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    padding: 20,
+    justifyContent: 'center',
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    textAlign: 'center',
+    marginBottom: 10,
+  },
+  details: {
+    fontSize: 14,
+    textAlign: 'center',
+    opacity: 0.7,
+    marginBottom: 20,
+  },
+  gridContainer: {
+    alignItems: 'center',
+    marginBottom: 20,
+  },
+  row: {
+    flexDirection: 'row',
+  },
+  tile: {
+    margin: TILE_MARGIN,
+    justifyContent: 'center',
+    alignItems: 'center',
+    borderRadius: 8,
+  },
+  tileText: {
+    fontSize: 24,
+    fontWeight: 'bold',
+  },
+  track: {
+    height: 16,
+    borderRadius: 8,
+    overflow: 'hidden',
+    marginBottom: 20,
+  },
+  trackFill: {
+    height: '100%',
+  },
+  controls: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    marginBottom: 20,
+  },
+  controlButton: {
+    padding: 15,
+    borderRadius: 8,
+    marginHorizontal: 5,
+    minWidth: 60,
+  },
+  playButton: {
+    minWidth: 100,
+  },
+  button: {
+    padding: 15,
+    borderRadius: 8,
+    alignSelf: 'center',
+    minWidth: 150,
+  },
+  buttonText: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    textAlign: 'center',
+  },
+});
+
+export default ReplayScreen;
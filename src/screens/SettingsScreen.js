@@ -0,0 +1,190 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  Switch,
+} from 'react-native';
+import { VOLUME_LEVELS } from '../settings';
+import { THEME_OPTIONS } from '../themes';
+import { PALETTE_OPTIONS } from '../palettes';
+import { SIZE_PRESETS, compareSizes } from '../sizes';
+
+const VOLUME_OPTIONS = VOLUME_LEVELS.map((level) => ({ key: level, label: `${Math.round(level * 100)}%` }));
+
+// Settings for the active player. Every change goes straight to onChange,
+// which saves it; there is nothing to apply or cancel.
+const SettingsScreen = ({ settings, playerName, theme, onChange, onReset, onClose }) => {
+  // The saved default size may have been picked with the row and column
+  // steppers rather than from the presets
+  const sizeOptions = [...new Set([...SIZE_PRESETS, settings.gridSize])]
+    .sort(compareSizes)
+    .map((size) => ({ key: size, label: size }));
+
+  const renderSwitch = (setting, label, disabled = false) => (
+    <View style={[styles.row, disabled && styles.disabled]}>
+      <Text style={[styles.rowLabel, { color: theme.text }]}>{label}</Text>
+      <Switch
+        value={settings[setting]}
+        onValueChange={(value) => onChange({ [setting]: value })}
+        disabled={disabled}
+        trackColor={{ false: '#767577', true: '#81b0ff' }}
+        thumbColor={settings[setting] ? '#f5dd4b' : '#f4f3f4'}
+        accessibilityLabel={label}
+      />
+    </View>
+  );
+
+  const renderChoices = (setting, label, options, disabled = false) => (
+    <View style={disabled && styles.disabled}>
+      <Text style={[styles.label, { color: theme.text }]}>{label}</Text>
+      <View style={styles.chips}>
+        {options.map(({ key, label: optionLabel }) => {
+          const selected = settings[setting] === key;
+          return (
+            <TouchableOpacity
+              key={key}
+              style={[styles.chip, { backgroundColor: selected ? theme.selectedTile : theme.button }]}
+              onPress={() => onChange({ [setting]: key })}
+              disabled={disabled}
+              accessibilityRole="button"
+              accessibilityLabel={`${label} ${optionLabel}`}
+              accessibilityState={{ selected, disabled }}
+            >
+              <Text style={[styles.chipText, { color: selected ? theme.selectedText : theme.buttonText }]}>
+                {optionLabel}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+    </View>
+  );
+
+  return (
+    <View style={[styles.container, { backgroundColor: theme.background }]}>
+      <Text style={[styles.title, { color: theme.text }]}>Settings</Text>
+      <Text style={[styles.subtitle, { color: theme.text }]}>{playerName}</Text>
+
+      <ScrollView style={styles.content}>
+        <Text style={[styles.sectionTitle, { color: theme.text }]}>Appearance</Text>
+        {renderChoices('theme', 'Theme', THEME_OPTIONS)}
+        {renderChoices('palette', 'Tile Colors', PALETTE_OPTIONS)}
+        {renderSwitch('largeText', 'Large Text')}
+
+        <Text style={[styles.sectionTitle, { color: theme.text }]}>Sound & Feel</Text>
+        {renderSwitch('soundOn', 'Sounds')}
+        {renderChoices('volume', 'Volume', VOLUME_OPTIONS, !settings.soundOn)}
+        {renderSwitch('haptics', 'Vibration')}
+
+        <Text style={[styles.sectionTitle, { color: theme.text }]}>Gameplay</Text>
+        {renderChoices('gridSize', 'Default Grid Size', sizeOptions)}
+        {renderSwitch('showTimer', 'Show Timer')}
+        {renderSwitch('confirmGiveUp', 'Confirm Before Giving Up')}
+        {renderSwitch('easyMode', 'Easy Mode (Show Target)')}
+        {renderSwitch('undoCountsAsMove', 'Undo Counts As Move')}
+
+        <TouchableOpacity
+          style={[styles.resetButton, { backgroundColor: '#ff4444' }]}
+          onPress={onReset}
+        >
+          <Text style={[styles.buttonText, { color: '#ffffff' }]}>Reset to Defaults</Text>
+        </TouchableOpacity>
+      </ScrollView>
+
+      <TouchableOpacity
+        style={[styles.button, { backgroundColor: theme.button }]}
+        onPress={onClose}
+      >
+        <Text style={[styles.buttonText, { color: theme.buttonText }]}>Close</Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    padding: 20,
+    paddingTop: 60,
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    textAlign: 'center',
+  },
+  subtitle: {
+    fontSize: 16,
+    textAlign: 'center',
+    opacity: 0.7,
+    marginBottom: 20,
+  },
+  content: {
+    flex: 1,
+    marginBottom: 20,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginTop: 20,
+    marginBottom: 10,
+  },
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 8,
+  },
+  rowLabel: {
+    fontSize: 16,
+    flex: 1,
+    marginRight: 10,
+  },
+  label: {
+    fontSize: 16,
+    marginTop: 8,
+    marginBottom: 8,
+  },
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 4,
+  },
+  chip: {
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 8,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  chipText: {
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+  disabled: {
+    opacity: 0.5,
+  },
+  resetButton: {
+    padding: 12,
+    borderRadius: 8,
+    alignSelf: 'center',
+    minWidth: 200,
+    marginTop: 30,
+    marginBottom: 10,
+  },
+  button: {
+    padding: 15,
+    borderRadius: 8,
+    alignSelf: 'center',
+    minWidth: 150,
+  },
+  buttonText: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    textAlign: 'center',
+  },
+});
+
+export default SettingsScreen;
@@ -0,0 +1,209 @@
+import React, { useMemo } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+} from 'react-native';
+import { computeStats } from '../stats';
+
+const CHART_HEIGHT = 120;
+
+const formatPercent = (value) => `${Math.round(value * 100)}%`;
+
+const formatNumber = (value) => (value === null ? '–' : `${Math.round(value * 10) / 10}`);
+
+// Stats dashboard for one player's game log
+const StatsScreen = ({ records, playerName, theme, onClose }) => {
+  const stats = useMemo(() => computeStats(records), [records]);
+
+  // Render a labelled figure
+  const renderStat = (label, value) => (
+    <View key={label} style={[styles.stat, { backgroundColor: theme.button }]}>
+      <Text style={[styles.statValue, { color: theme.buttonText }]}>{value}</Text>
+      <Text style={[styles.statLabel, { color: theme.buttonText }]}>{label}</Text>
+    </View>
+  );
+
+  // Render the efficiency bar chart, one bar per recent win
+  const renderChart = () => (
+    <View style={[styles.chart, { borderColor: theme.border }]}>
+      {stats.chart.map((point, index) => (
+        <View key={index} style={styles.chartColumn}>
+          <View
+            style={[
+              styles.chartBar,
+              {
+                height: (point.efficiency / 100) * CHART_HEIGHT,
+                backgroundColor: theme.selectedTile,
+              },
+            ]}
+          />
+          <Text style={[styles.chartLabel, { color: theme.text }]}>{point.gridSize}</Text>
+        </View>
+      ))}
+    </View>
+  );
+
+  return (
+    <View style={[styles.container, { backgroundColor: theme.background }]}>
+      <Text style={[styles.title, { color: theme.text }]}>Stats</Text>
+      <Text style={[styles.subtitle, { color: theme.text }]}>{playerName}</Text>
+
+      <ScrollView style={styles.content}>
+        {stats.played === 0 ? (
+          <Text style={[styles.empty, { color: theme.text }]}>
+            No games played yet. Finish a game to start tracking stats.
+          </Text>
+        ) : (
+          <>
+            <View style={styles.statGrid}>
+              {renderStat('Games', stats.played)}
+              {renderStat('Win Rate', formatPercent(stats.winRate))}
+              {renderStat('Streak', stats.streaks.current)}
+              {renderStat('Best Streak', stats.streaks.best)}
+              {renderStat('Timeouts', stats.timeouts)}
+              {renderStat('Give Ups', stats.giveUps)}
+            </View>
+
+            <Text style={[styles.sectionTitle, { color: theme.text }]}>By Game</Text>
+            <View style={[styles.tableRow, { borderBottomColor: theme.border }]}>
+              {['Game', 'Played', 'Win %', 'Avg', 'Best'].map((heading) => (
+                <Text key={heading} style={[styles.tableHeading, { color: theme.text }]}>{heading}</Text>
+              ))}
+            </View>
+            {stats.byGame.map((game) => (
+              <View key={game.key} style={[styles.tableRow, { borderBottomColor: theme.border }]}>
+                <Text style={[styles.tableCell, { color: theme.text }]}>{game.label}</Text>
+                <Text style={[styles.tableCell, { color: theme.text }]}>{game.played}</Text>
+                <Text style={[styles.tableCell, { color: theme.text }]}>{formatPercent(game.winRate)}</Text>
+                <Text style={[styles.tableCell, { color: theme.text }]}>{formatNumber(game.averageMoves)}</Text>
+                <Text style={[styles.tableCell, { color: theme.text }]}>{formatNumber(game.bestMoves)}</Text>
+              </View>
+            ))}
+
+            <Text style={[styles.sectionTitle, { color: theme.text }]}>Efficiency (par / moves)</Text>
+            {stats.chart.length > 0 ? renderChart() : (
+              <Text style={[styles.empty, { color: theme.text }]}>Win a game to see your progress.</Text>
+            )}
+          </>
+        )}
+      </ScrollView>
+
+      <TouchableOpacity
+        style={[styles.button, { backgroundColor: theme.button }]}
+        onPress={onClose}
+      >
+        <Text style={[styles.buttonText, { color: theme.buttonText }]}>Close</Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+// Styles
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    padding: 20,
+    paddingTop: 60,
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    textAlign: 'center',
+  },
+  subtitle: {
+    fontSize: 16,
+    textAlign: 'center',
+    opacity: 0.7,
+    marginBottom: 20,
+  },
+  content: {
+    flex: 1,
+    marginBottom: 20,
+  },
+  empty: {
+    fontSize: 16,
+    textAlign: 'center',
+    padding: 20,
+  },
+  statGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'space-between',
+  },
+  stat: {
+    width: '31%',
+    padding: 12,
+    borderRadius: 8,
+    marginBottom: 10,
+    alignItems: 'center',
+  },
+  statValue: {
+    fontSize: 22,
+    fontWeight: 'bold',
+  },
+  statLabel: {
+    fontSize: 12,
+    marginTop: 2,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginTop: 20,
+    marginBottom: 10,
+  },
+  tableRow: {
+    flexDirection: 'row',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+  },
+  tableHeading: {
+    flex: 1,
+    fontSize: 14,
+    fontWeight: 'bold',
+    textAlign: 'center',
+  },
+  tableCell: {
+    flex: 1,
+    fontSize: 14,
+    textAlign: 'center',
+  },
+  chart: {
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+    height: CHART_HEIGHT + 20,
+    borderBottomWidth: 1,
+    borderLeftWidth: 1,
+    paddingHorizontal: 4,
+  },
+  chartColumn: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'flex-end',
+    marginHorizontal: 1,
+  },
+  chartBar: {
+    width: '80%',
+    borderTopLeftRadius: 3,
+    borderTopRightRadius: 3,
+  },
+  chartLabel: {
+    fontSize: 10,
+    marginTop: 2,
+  },
+  button: {
+    padding: 15,
+    borderRadius: 8,
+    alignSelf: 'center',
+    minWidth: 150,
+  },
+  buttonText: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    textAlign: 'center',
+  },
+});
+
+export default StatsScreen;
@@ -0,0 +1,99 @@
+// Settings
+// Each player's settings are kept in their profile, and settings chosen
+// before there is a player are kept for the first one. The settings store
+// holds the active player's settings while the app runs: changes are merged into
+// the latest settings rather than a copy taken when a control was drawn, and
+// the whole settings object is saved with each change. Saves are queued, so
+// an older save can never land after a newer one.
+
+import { DEFAULT_MODE, GAME_MODES } from './modes';
+import { DEFAULT_PALETTE, PALETTE_OPTIONS } from './palettes';
+import { DEFAULT_RULES, RULE_SETS } from './rules';
+import { DEFAULT_SIZE, getSizeKey } from './sizes';
+import { DEFAULT_THEME, THEME_OPTIONS } from './themes';
+
+export const DEFAULT_SETTINGS = {
+  theme: DEFAULT_THEME,
+  soundOn: false,
+  volume: 1,
+  haptics: true,
+  undoCountsAsMove: false,
+  gridSize: DEFAULT_SIZE,
+  gameMode: DEFAULT_MODE,
+  rules: DEFAULT_RULES,
+  easyMode: false,
+  palette: DEFAULT_PALETTE,
+  largeText: false,
+  confirmGiveUp: true,
+  showTimer: true,
+};
+
+// Volume choices, from quiet to full
+export const VOLUME_LEVELS = [0.25, 0.5, 0.75, 1];
+
+// Settings chosen from a list, and the options they can take
+const OPTION_SETTINGS = {
+  theme: THEME_OPTIONS,
+  palette: PALETTE_OPTIONS,
+  gameMode: GAME_MODES,
+  rules: RULE_SETS,
+};
+
+// Settings with every value present and of the right kind; anything missing,
+// unreadable or no longer on offer falls back to its default
+export const sanitizeSettings = (settings) => {
+  const stored = settings && typeof settings === 'object' ? settings : {};
+  const sanitized = {};
+  Object.entries(DEFAULT_SETTINGS).forEach(([key, fallback]) => {
+    const value = stored[key];
+    sanitized[key] = typeof value === typeof fallback ? value : fallback;
+  });
+  Object.entries(OPTION_SETTINGS).forEach(([key, options]) => {
+    if (!options.some((option) => option.key === sanitized[key])) sanitized[key] = DEFAULT_SETTINGS[key];
+  });
+  sanitized.gridSize = getSizeKey(stored.gridSize) || DEFAULT_SIZE;
+  sanitized.volume = Math.min(1, Math.max(0, sanitized.volume));
+  return sanitized;
+};
+
+// Create a settings store. `save(profileId, settings)` writes a player's
+// settings and resolves once they are stored; profileId is null while there
+// is no player yet.
+export const createSettingsStore = (save) => {
+  let profileId = null;
+  let settings = DEFAULT_SETTINGS;
+  let saving = Promise.resolve(true);
+  const listeners = new Set();
+
+  const notify = () => listeners.forEach((listener) => listener(settings));
+
+  const update = (changes) => {
+    settings = sanitizeSettings({ ...settings, ...changes });
+    notify();
+    const id = profileId;
+    const snapshot = settings;
+    saving = saving.then(() => save(id, snapshot)).catch((error) => {
+      console.log('Error saving settings:', error);
+      return false;
+    });
+    return saving;
+  };
+
+  return {
+    getSettings: () => settings,
+    // Switch to a player's stored settings without saving anything
+    load: (id, stored) => {
+      profileId = id;
+      settings = sanitizeSettings(stored);
+      notify();
+    },
+    update,
+    reset: () => update(DEFAULT_SETTINGS),
+    // Call listener with the new settings after every change; returns a
+    // function that stops listening
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+};
@@ -0,0 +1,62 @@
+// Grid sizes
+// Boards can have any number of rows and columns within MIN_SIDE..MAX_SIDE.
+// The game modules work on { rows, cols }; app state, saved games and storage
+// keep a size as its key, "rowsxcols" (so "3x5" is three rows of five).
+
+export const MIN_SIDE = 3;
+export const MAX_SIDE = 8;
+
+export const DEFAULT_SIZE = '3x3';
+
+// Sizes offered on the menu, alongside picking rows and columns directly
+export const SIZE_PRESETS = ['3x3', '4x4', '5x5', '6x6', '3x5', '7x7', '8x8'];
+
+const isValidSide = (side) => Number.isInteger(side) && side >= MIN_SIDE && side <= MAX_SIDE;
+
+// A size as { rows, cols }, from a key or a size object; null when it isn't a
+// playable size
+export const toSize = (value) => {
+  let rows;
+  let cols;
+  if (typeof value === 'string') {
+    const match = /^(\d+)x(\d+)$/.exec(value);
+    if (!match) return null;
+    rows = parseInt(match[1], 10);
+    cols = parseInt(match[2], 10);
+  } else if (value && typeof value === 'object') {
+    ({ rows, cols } = value);
+  }
+  return isValidSide(rows) && isValidSide(cols) ? { rows, cols } : null;
+};
+
+export const getSizeKey = (value) => {
+  const size = toSize(value);
+  return size ? `${size.rows}x${size.cols}` : null;
+};
+
+export const isValidSize = (value) => toSize(value) !== null;
+
+export const getCellCount = (value) => {
+  const { rows, cols } = toSize(value);
+  return rows * cols;
+};
+
+// Side of the square with as many tiles, for scaling time limits and scores
+export const getEquivalentSide = (value) => Math.sqrt(getCellCount(value));
+
+// Size of a board, read from its grid
+export const getGridSize = (grid) => ({ rows: grid.length, cols: grid.length > 0 ? grid[0].length : 0 });
+
+// Smaller boards first; boards with as many tiles go by rows
+export const compareSizes = (a, b) => {
+  const sizeA = toSize(a);
+  const sizeB = toSize(b);
+  return sizeA.rows * sizeA.cols - sizeB.rows * sizeB.cols || sizeA.rows - sizeB.rows;
+};
+
+// Change one side of a size, keeping it within limits. Returns the new key.
+export const resizeSide = (value, side, step) => {
+  const size = toSize(value);
+  const next = Math.min(MAX_SIDE, Math.max(MIN_SIDE, size[side] + step));
+  return getSizeKey({ ...size, [side]: next });
+};
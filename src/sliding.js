@@ -0,0 +1,101 @@
+// Classic sliding puzzle
+// The 15-puzzle rules: the highest-numbered tile is a blank cell, and only
+// tiles next to the blank can move into it. Tapping any tile in the blank's
+// row or column slides the whole line towards the blank. Every slide is made
+// of single-tile moves, which are plain swaps with the blank, so history,
+// replays and saved games work unchanged. The puzzle is solved with the blank
+// in the bottom-right corner, so checkWin applies as-is.
+
+import {
+  buildGrid,
+  generateDistinctColors,
+  inversionCount,
+  roundTimeLimit,
+  shuffle,
+} from './engine';
+import { createRng, normalizeSeed } from './random';
+import { getCellCount, getEquivalentSide, getGridSize } from './sizes';
+
+// Sliding puzzles take many more moves, so they get longer time limits:
+// 30 * (side - 1) * (side - 2) seconds, a minute for 3x3 and ten for 6x6
+export const getSlidingTimeLimit = (size) => {
+  const side = getEquivalentSide(size);
+  return roundTimeLimit(30 * (side - 1) * (side - 2));
+};
+
+export const getBlankNumber = (size) => getCellCount(size);
+
+export const isBlank = (tile, size) => tile.number === getBlankNumber(size);
+
+// Cell holding the blank
+export const findBlank = (grid) => {
+  const blankNumber = getBlankNumber(getGridSize(grid));
+  for (let row = 0; row < grid.length; row++) {
+    const col = grid[row].findIndex((tile) => tile.number === blankNumber);
+    if (col !== -1) return { row, col };
+  }
+  return null;
+};
+
+// A board can be solved when the parity of its tile permutation matches the
+// parity of the blank's distance from its home in the bottom-right corner
+export const isSolvable = (numbers, size) => {
+  const { rows, cols } = size;
+  const blankIndex = numbers.indexOf(getBlankNumber(size));
+  const blankDistance =
+    (rows - 1 - Math.floor(blankIndex / cols)) + (cols - 1 - (blankIndex % cols));
+  return inversionCount(numbers) % 2 === blankDistance % 2;
+};
+
+// Swapping two tiles (neither of them the blank) flips solvability
+const makeSolvable = (numbers, size) => {
+  if (isSolvable(numbers, size)) return numbers;
+  const blankNumber = getBlankNumber(size);
+  const [a, b] = numbers
+    .map((number, index) => (number === blankNumber ? -1 : index))
+    .filter((index) => index !== -1);
+  const fixed = [...numbers];
+  [fixed[a], fixed[b]] = [fixed[b], fixed[a]];
+  return fixed;
+};
+
+// Create a new sliding board. Like createBoard, colors are drawn first so the
+// same seed gives the same tile colors, and replays can recover them.
+export const createSlidingBoard = (size, seed) => {
+  const rng = createRng(seed);
+  const count = getCellCount(size);
+  const colors = generateDistinctColors(count, rng);
+  const numbers = Array.from({ length: count }, (_, i) => i + 1);
+
+  let shuffled;
+  do {
+    shuffled = makeSolvable(shuffle(numbers, rng), size);
+  } while (shuffled.every((number, index) => number === index + 1));
+
+  return {
+    grid: buildGrid(shuffled, size, colors),
+    targetGrid: buildGrid(numbers, size, colors),
+    colors,
+    seed: normalizeSeed(seed),
+  };
+};
+
+// Single-tile moves that slide the line between the blank and the tapped
+// cell, as { from, to } swaps where `from` is the tile moving into the blank at
+// `to`. Empty when the cell isn't in the blank's row or column.
+export const getSlideSwaps = (grid, cell) => {
+  const blank = findBlank(grid);
+  if (!blank || (blank.row === cell.row && blank.col === cell.col)) return [];
+  if (blank.row !== cell.row && blank.col !== cell.col) return [];
+
+  const rowStep = Math.sign(cell.row - blank.row);
+  const colStep = Math.sign(cell.col - blank.col);
+  const swaps = [];
+  let current = blank;
+  while (current.row !== cell.row || current.col !== cell.col) {
+    const next = { row: current.row + rowStep, col: current.col + colStep };
+    swaps.push({ from: next, to: current });
+    current = next;
+  }
+  return swaps;
+};
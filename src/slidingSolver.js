@@ -0,0 +1,188 @@
+// Sliding puzzle solver
+// Finds a sequence of single-tile moves that solves a sliding board. Boards
+// of up to 3x3 tiles are solved optimally with IDA* search; larger boards (or
+// a 3x3 that runs out of search budget) use a constructive solver that places
+// the tiles row by row and then column by column, like a person would, which
+// takes about twice the fewest moves.
+
+import { toCell } from './engine';
+import { getBlankNumber } from './sliding';
+
+const MAX_OPTIMAL_TILES = 9;
+const DEFAULT_MAX_NODES = 200000;
+
+// Distance of a tile from its solved position
+const tileDistance = (number, index, cols) => {
+  const target = number - 1;
+  return Math.abs(Math.floor(index / cols) - Math.floor(target / cols)) +
+    Math.abs((index % cols) - (target % cols));
+};
+
+// Cells next to each cell, as flat indices
+const getNeighbors = ({ rows, cols }) =>
+  Array.from({ length: rows * cols }, (_, index) => {
+    const neighbors = [];
+    if (index >= cols) neighbors.push(index - cols);
+    if (index % cols > 0) neighbors.push(index - 1);
+    if (index % cols < cols - 1) neighbors.push(index + 1);
+    if (index + cols < rows * cols) neighbors.push(index + cols);
+    return neighbors;
+  });
+
+// Sum of tile distances, ignoring the blank
+const boardDistance = (numbers, size) => {
+  const blankNumber = getBlankNumber(size);
+  return numbers.reduce((total, number, index) =>
+    (number === blankNumber ? total : total + tileDistance(number, index, size.cols)), 0);
+};
+
+// Optimal search. Each move shifts one tile one step, so the total tile
+// distance never overestimates. Moves are [tileIndex, blankIndex] pairs.
+// Returns the path (null past the budget) and the last bound searched.
+const searchOptimal = (start, size, maxNodes) => {
+  const numbers = [...start];
+  const neighbors = getNeighbors(size);
+  const blankNumber = getBlankNumber(size);
+  const path = [];
+  let blank = numbers.indexOf(blankNumber);
+  let nodes = 0;
+
+  const search = (distance, depth, bound, previous) => {
+    const estimate = depth + distance;
+    if (estimate > bound) return estimate;
+    if (distance === 0) return true;
+    if (++nodes > maxNodes) return null;
+
+    let next = Infinity;
+    for (const cell of neighbors[blank]) {
+      // Moving the same tile straight back is never useful
+      if (cell === previous) continue;
+      const number = numbers[cell];
+      const from = blank;
+      const delta = tileDistance(number, from, size.cols) - tileDistance(number, cell, size.cols);
+
+      numbers[from] = number;
+      numbers[cell] = blankNumber;
+      blank = cell;
+      path.push([cell, from]);
+      const result = search(distance + delta, depth + 1, bound, from);
+      if (result === true || result === null) return result;
+      path.pop();
+      blank = from;
+      numbers[cell] = number;
+      numbers[from] = blankNumber;
+      next = Math.min(next, result);
+    }
+    return next;
+  };
+
+  let bound = boardDistance(numbers, size);
+  for (;;) {
+    const result = search(boardDistance(numbers, size), 0, bound, -1);
+    if (result === true) return { path, bound };
+    if (result === null) return { path: null, bound };
+    bound = result;
+  }
+};
+
+// Move the given tiles to their solved cells without touching locked cells.
+// Searches breadth-first over the positions of just those tiles and the
+// blank, treating every other free tile as interchangeable, which keeps each
+// search small. Applies the moves to numbers and appends them to path.
+const placeTiles = (numbers, size, tiles, locked, path) => {
+  const count = numbers.length;
+  const neighbors = getNeighbors(size);
+  const goal = tiles.map((tile) => tile - 1);
+  const encode = (positions) => positions.reduce((key, position) => key * count + position, 0);
+  const isGoal = (positions) => goal.every((target, i) => positions[i] === target);
+
+  const start = [...tiles, getBlankNumber(size)].map((number) => numbers.indexOf(number));
+  // Each state's parent and the cell the blank moved into to reach it
+  const parents = new Map([[encode(start), null]]);
+  let frontier = [start];
+  let found = isGoal(start) ? start : null;
+
+  while (!found && frontier.length > 0) {
+    const nextFrontier = [];
+    for (const positions of frontier) {
+      const blank = positions[positions.length - 1];
+      for (const cell of neighbors[blank]) {
+        if (locked[cell]) continue;
+        const moved = positions.map((position) => (position === cell ? blank : position));
+        moved[moved.length - 1] = cell;
+        const key = encode(moved);
+        if (parents.has(key)) continue;
+        parents.set(key, [encode(positions), cell]);
+        if (isGoal(moved)) {
+          found = moved;
+          break;
+        }
+        nextFrontier.push(moved);
+      }
+      if (found) break;
+    }
+    frontier = nextFrontier;
+  }
+  if (!found) throw new Error('Sliding board cannot be solved');
+
+  const blankMoves = [];
+  for (let step = parents.get(encode(found)); step !== null; step = parents.get(step[0])) {
+    blankMoves.unshift(step[1]);
+  }
+  let blank = start[start.length - 1];
+  blankMoves.forEach((cell) => {
+    numbers[blank] = numbers[cell];
+    numbers[cell] = getBlankNumber(size);
+    path.push([cell, blank]);
+    blank = cell;
+  });
+  tiles.forEach((tile) => {
+    locked[tile - 1] = true;
+  });
+};
+
+// Constructive solver. Fills each row but the last two, placing the last two
+// tiles of a row together; then fills the last two rows a column at a time;
+// then the final 2x2 corner.
+const solveConstructive = (start, size) => {
+  const { rows, cols } = size;
+  const numbers = [...start];
+  const locked = new Array(numbers.length).fill(false);
+  const path = [];
+  const tileAt = (row, col) => row * cols + col + 1;
+
+  for (let row = 0; row < rows - 2; row++) {
+    for (let col = 0; col < cols - 2; col++) {
+      placeTiles(numbers, size, [tileAt(row, col)], locked, path);
+    }
+    placeTiles(numbers, size, [tileAt(row, cols - 2), tileAt(row, cols - 1)], locked, path);
+  }
+  for (let col = 0; col < cols - 2; col++) {
+    placeTiles(numbers, size, [tileAt(rows - 2, col), tileAt(rows - 1, col)], locked, path);
+  }
+  placeTiles(
+    numbers,
+    size,
+    [tileAt(rows - 2, cols - 2), tileAt(rows - 2, cols - 1), tileAt(rows - 1, cols - 2)],
+    locked,
+    path
+  );
+  return path;
+};
+
+// Solve a sliding board of the given { rows, cols } size, given as a flat
+// list of tile numbers. Returns the single-tile moves as { from, to } swaps,
+// where `from` is the tile moving into the blank at `to`, whether the move
+// count is known to be optimal, and the fewest moves the board could take.
+export const solveSlidingBoard = (numbers, size, { maxNodes = DEFAULT_MAX_NODES } = {}) => {
+  const { path: optimalPath, bound } = numbers.length <= MAX_OPTIMAL_TILES
+    ? searchOptimal(numbers, size, maxNodes)
+    : { path: null, bound: boardDistance(numbers, size) };
+  const path = optimalPath || solveConstructive(numbers, size);
+
+  return {
+    swaps: path.map(([a, b]) => ({ from: toCell(a, size.cols), to: toCell(b, size.cols) })),
+    optimal: optimalPath !== null,
+    minSwaps: optimalPath ? path.length : bound,
+  };
+};
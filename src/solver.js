@@ -0,0 +1,202 @@
+// Adjacent-swap solver
+// Finds the shortest sequence of adjacent swaps that solves a board using
+// IDA* search. Larger boards fall back to a fast constructive solver once the
+// search budget runs out, giving a good (but not always optimal) swap count
+// along with the fewest swaps the search proved the board needs.
+// With the diagonal option, diagonal neighbours count as adjacent too and
+// distances are measured in king moves. Boards where any two tiles can be
+// swapped are solved exactly by solveAnySwapBoard.
+
+import { toCell } from './engine';
+
+// Search budget before settling for the constructive solution. Par is worked
+// out while a game starts, so the budget keeps a failed search to a few tens
+// of milliseconds; most 3x4 boards finish well within it, and about a third
+// of 4x4 boards do. Square boards up to 4x4 and other boards up to 12 tiles
+// are searched; anything larger is far beyond what the search can finish.
+const MAX_OPTIMAL_SQUARE_TILES = 16;
+const MAX_OPTIMAL_TILES = 12;
+const DEFAULT_MAX_NODES = 20000;
+
+const canSearchOptimal = ({ rows, cols }) =>
+  rows * cols <= (rows === cols ? MAX_OPTIMAL_SQUARE_TILES : MAX_OPTIMAL_TILES);
+
+// Diagonal constructive solves longer than this many swaps per tile give up
+const MAX_STEPS_PER_TILE = 4;
+
+// Distance of a tile from its solved position: Manhattan distance, or the
+// number of king moves when diagonal swaps are allowed
+const tileDistance = (number, index, cols, diagonal) => {
+  const target = number - 1;
+  const rowSteps = Math.abs(Math.floor(index / cols) - Math.floor(target / cols));
+  const colSteps = Math.abs((index % cols) - (target % cols));
+  return diagonal ? Math.max(rowSteps, colSteps) : rowSteps + colSteps;
+};
+
+const boardDistance = (numbers, cols, diagonal) =>
+  numbers.reduce((total, number, index) => total + tileDistance(number, index, cols, diagonal), 0);
+
+// Change in total distance if the tiles at a and b were swapped
+const swapDelta = (numbers, a, b, cols, diagonal) =>
+  tileDistance(numbers[a], b, cols, diagonal) + tileDistance(numbers[b], a, cols, diagonal) -
+  tileDistance(numbers[a], a, cols, diagonal) - tileDistance(numbers[b], b, cols, diagonal);
+
+// Every pair of adjacent cells, as flat indices
+const getEdges = ({ rows, cols }, diagonal) => {
+  const edges = [];
+  const count = rows * cols;
+  for (let index = 0; index < count; index++) {
+    const col = index % cols;
+    const hasRowBelow = index + cols < count;
+    if (col < cols - 1) edges.push([index, index + 1]);
+    if (hasRowBelow) edges.push([index, index + cols]);
+    if (diagonal && hasRowBelow && col < cols - 1) edges.push([index, index + cols + 1]);
+    if (diagonal && hasRowBelow && col > 0) edges.push([index, index + cols - 1]);
+  }
+  return edges;
+};
+
+const swapInPlace = (numbers, a, b) => {
+  const temp = numbers[a];
+  numbers[a] = numbers[b];
+  numbers[b] = temp;
+};
+
+// Fewest swaps a board could take: each swap moves two tiles one step, so
+// half the total distance never overestimates the swaps left
+const minSwapsFor = (numbers, cols, diagonal) => Math.ceil(boardDistance(numbers, cols, diagonal) / 2);
+
+// Optimal search, returning the path (null past the budget) and the last
+// bound searched, which no solution can beat
+const searchOptimal = (start, size, maxNodes, diagonal) => {
+  const { cols } = size;
+  const numbers = [...start];
+  const edges = getEdges(size, diagonal);
+  // Orthogonal swaps always change the Manhattan distance by an even amount
+  const deltas = diagonal ? [-2, -1, 0, 1, 2] : [-2, 0, 2];
+  const path = [];
+  let nodes = 0;
+
+  // Swaps on disjoint cells commute, so only one order of each such pair is tried
+  const sharesCell = (i, j) =>
+    edges[i][0] === edges[j][0] || edges[i][0] === edges[j][1] ||
+    edges[i][1] === edges[j][0] || edges[i][1] === edges[j][1];
+
+  const search = (distance, depth, bound, lastEdge) => {
+    const estimate = depth + Math.ceil(distance / 2);
+    if (estimate > bound) return estimate;
+    if (distance === 0) return true;
+    if (++nodes > maxNodes) return null;
+
+    let next = Infinity;
+    // Try swaps that move both tiles closer first, then neutral, then backwards
+    for (const wanted of deltas) {
+      for (let index = 0; index < edges.length; index++) {
+        if (index === lastEdge || (lastEdge > index && !sharesCell(index, lastEdge))) continue;
+        const [a, b] = edges[index];
+        const delta = swapDelta(numbers, a, b, cols, diagonal);
+        if (delta !== wanted) continue;
+
+        swapInPlace(numbers, a, b);
+        path.push([a, b]);
+        const result = search(distance + delta, depth + 1, bound, index);
+        if (result === true || result === null) return result;
+        path.pop();
+        swapInPlace(numbers, a, b);
+        next = Math.min(next, result);
+      }
+    }
+    return next;
+  };
+
+  let bound = minSwapsFor(numbers, cols, diagonal);
+  for (;;) {
+    const result = search(boardDistance(numbers, cols, diagonal), 0, bound, -1);
+    if (result === true) return { path, bound };
+    if (result === null) return { path: null, bound };
+    bound = result;
+  }
+};
+
+// Constructive solver. Takes any swap that moves both tiles closer to home,
+// then any neutral swap that sets one up, and otherwise walks the first
+// misplaced tile home (across, then up) without disturbing the tiles before it.
+// King distances can't promise progress on every step, so a diagonal solve
+// that runs too long falls back to orthogonal swaps, which are allowed too.
+const solveConstructive = (start, size, diagonal) => {
+  const { cols } = size;
+  const numbers = [...start];
+  const edges = getEdges(size, diagonal);
+  const maxSteps = diagonal ? MAX_STEPS_PER_TILE * numbers.length : Infinity;
+  const path = [];
+
+  const swap = (a, b) => {
+    swapInPlace(numbers, a, b);
+    path.push([a, b]);
+  };
+  const findImproving = () => edges.find(([a, b]) => swapDelta(numbers, a, b, cols, diagonal) === -2);
+
+  for (;;) {
+    const placed = numbers.findIndex((number, index) => number !== index + 1);
+    if (placed === -1) return path;
+    if (path.length > maxSteps) return solveConstructive(start, size, false);
+
+    const improving = findImproving();
+    if (improving) {
+      swap(improving[0], improving[1]);
+      continue;
+    }
+
+    const setup = edges.find(([a, b]) => {
+      if (swapDelta(numbers, a, b, cols, diagonal) !== 0) return false;
+      swapInPlace(numbers, a, b);
+      const enables = findImproving() !== undefined;
+      swapInPlace(numbers, a, b);
+      return enables;
+    });
+    if (setup) {
+      swap(setup[0], setup[1]);
+      continue;
+    }
+
+    const current = numbers.indexOf(placed + 1);
+    const targetCol = placed % cols;
+    const currentCol = current % cols;
+    if (currentCol !== targetCol) {
+      swap(current, current + (targetCol < currentCol ? -1 : 1));
+    } else {
+      swap(current, current - cols);
+    }
+  }
+};
+
+// Solve a board of the given { rows, cols } size, given as a flat list of tile
+// numbers. Returns the swaps as { from, to } cell pairs, whether the swap
+// count is known to be optimal, and the fewest swaps the board could take.
+export const solveBoard = (numbers, size, { maxNodes = DEFAULT_MAX_NODES, diagonal = false } = {}) => {
+  const { path: optimalPath, bound } = canSearchOptimal(size)
+    ? searchOptimal(numbers, size, maxNodes, diagonal)
+    : { path: null, bound: minSwapsFor(numbers, size.cols, diagonal) };
+  const path = optimalPath || solveConstructive(numbers, size, diagonal);
+
+  return {
+    swaps: path.map(([a, b]) => ({ from: toCell(a, size.cols), to: toCell(b, size.cols) })),
+    optimal: optimalPath !== null,
+    minSwaps: optimalPath ? path.length : bound,
+  };
+};
+
+// Solve a board where any two tiles can be swapped. Putting the right tile
+// into each cell in turn is optimal: every swap places at least one tile, and
+// the last swap of each cycle of misplaced tiles places two.
+export const solveAnySwapBoard = (numbers, size) => {
+  const current = [...numbers];
+  const swaps = [];
+  for (let index = 0; index < current.length; index++) {
+    if (current[index] === index + 1) continue;
+    const other = current.indexOf(index + 1);
+    swapInPlace(current, index, other);
+    swaps.push({ from: toCell(other, size.cols), to: toCell(index, size.cols) });
+  }
+  return { swaps, optimal: true, minSwaps: swaps.length };
+};
@@ -0,0 +1,119 @@
+// Player statistics
+// Every finished game, won or lost, is logged as a small record. The stats
+// screen derives everything it shows from that log, breaking it down the same
+// way leaderboards are kept: by mode, size and rule set.
+
+import { GAME_MODES, getScoreKey, getScoreLabel, parseScoreKey } from './modes';
+import { RULE_SETS } from './rules';
+import { compareSizes, getSizeKey } from './sizes';
+
+export const OUTCOMES = {
+  win: 'win',
+  timeout: 'timeout',
+  giveUp: 'giveup',
+};
+
+// Oldest records are dropped beyond this many
+export const MAX_LOG_ENTRIES = 1000;
+
+// Wins plotted on the improvement chart
+export const CHART_POINTS = 20;
+
+export const createGameRecord = ({
+  profileId,
+  outcome,
+  gridSize,
+  gameMode,
+  rules,
+  moves,
+  par,
+  parIsEstimate,
+  durationMs,
+  seed,
+}) => ({
+  profileId,
+  outcome,
+  gridSize,
+  gameMode,
+  rules,
+  moves,
+  par,
+  parIsEstimate,
+  duration: Math.round(durationMs / 100) / 10,
+  seed,
+  date: new Date().toISOString(),
+});
+
+export const appendRecord = (log, record) => [...log, record].slice(-MAX_LOG_ENTRIES);
+
+// Moves as a share of par: 100 means solved in par. An estimated par says
+// little about how well a game went, so those games are left out.
+const getEfficiency = (record) =>
+  record.par && !record.parIsEstimate && record.moves > 0
+    ? Math.round(Math.min(1, record.par / record.moves) * 100)
+    : null;
+
+const getRecordKey = (record) => getScoreKey(record.gameMode, record.gridSize, record.rules);
+
+const findOption = (options, key) => options.findIndex((option) => option.key === key);
+
+// Smaller boards first, then modes and rule sets in menu order
+const compareGames = (a, b) =>
+  compareSizes(a.gridSize, b.gridSize) ||
+  findOption(GAME_MODES, a.mode) - findOption(GAME_MODES, b.mode) ||
+  findOption(RULE_SETS, a.rules) - findOption(RULE_SETS, b.rules);
+
+const average = (values) =>
+  values.length > 0 ? values.reduce((total, value) => total + value, 0) / values.length : null;
+
+// Streaks of consecutive wins, in the order games were played
+const getStreaks = (records) => {
+  let current = 0;
+  let best = 0;
+  records.forEach((record) => {
+    current = record.outcome === OUTCOMES.win ? current + 1 : 0;
+    best = Math.max(best, current);
+  });
+  return { current, best };
+};
+
+const summarize = (records) => {
+  const wins = records.filter((record) => record.outcome === OUTCOMES.win);
+  const winMoves = wins.map((record) => record.moves);
+  return {
+    played: records.length,
+    wins: wins.length,
+    winRate: records.length > 0 ? wins.length / records.length : 0,
+    averageMoves: average(winMoves),
+    bestMoves: winMoves.length > 0 ? Math.min(...winMoves) : null,
+    averageDuration: average(wins.map((record) => record.duration)),
+  };
+};
+
+// Stats for a list of records, oldest first
+export const computeStats = (records) => {
+  const games = [...new Set(records.map(getRecordKey))]
+    .map((key) => ({ key, ...parseScoreKey(key) }))
+    .sort(compareGames);
+  const chart = records
+    .filter((record) => record.outcome === OUTCOMES.win && getEfficiency(record) !== null)
+    .slice(-CHART_POINTS)
+    .map((record) => ({
+      date: record.date,
+      gridSize: getSizeKey(record.gridSize),
+      efficiency: getEfficiency(record),
+    }));
+
+  return {
+    ...summarize(records),
+    giveUps: records.filter((record) => record.outcome === OUTCOMES.giveUp).length,
+    timeouts: records.filter((record) => record.outcome === OUTCOMES.timeout).length,
+    streaks: getStreaks(records),
+    byGame: games.map(({ key, mode, gridSize, rules }) => ({
+      key,
+      label: getScoreLabel(mode, gridSize, rules),
+      ...summarize(records.filter((record) => getRecordKey(record) === key)),
+    })),
+    chart,
+  };
+};
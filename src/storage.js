@@ -0,0 +1,237 @@
+// Persistence
+// Everything the app keeps on the device goes through this module. Data is
+// stored under `gridzen_` keys with a schema version; migrations bring older
+// data up to date on launch, and values that fail to parse are set aside
+// under a `_corrupt` key so the app can start clean instead of crashing.
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { addProfile, createProfile, createProfiles } from './profiles';
+import { sanitizeSettings } from './settings';
+
+export const SCHEMA_VERSION = 3;
+
+export const KEYS = {
+  schemaVersion: 'gridzen_schemaversion',
+  highScores: 'gridzen_highscores',
+  profiles: 'gridzen_profiles',
+  savedGame: 'gridzen_savedgame',
+  gameLog: 'gridzen_gamelog',
+  daily: 'gridzen_daily',
+  // Settings chosen while there is no player yet, given to the first player
+  guestSettings: 'gridzen_guestsettings',
+};
+
+// Keys only read by migrations
+const LEGACY_KEYS = {
+  playerName: 'gridzen_playername',
+  settings: 'gridzen_settings',
+};
+
+export const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Parse a date saved with toLocaleDateString (e.g. "6/14/2025" or "14.6.2025")
+// into an ISO timestamp; returns null if it can't be read
+export const legacyDateToISO = (value) => {
+  if (typeof value !== 'string') return null;
+
+  const parts = value.match(/^(\d{1,4})[/.-](\d{1,2})[/.-](\d{1,4})$/);
+  if (parts) {
+    const [first, second, third] = parts.slice(1).map(Number);
+    let year;
+    let month;
+    let day;
+    if (parts[1].length === 4) {
+      [year, month, day] = [first, second, third];
+    } else if (parts[0].includes('.') || first > 12) {
+      [day, month, year] = [first, second, third];
+    } else {
+      [month, day, year] = [first, second, third];
+    }
+    const date = new Date(year, month - 1, day);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+  }
+
+  const parsed = new Date(value);
+  return Number.isNaN(parsed.getTime()) ? null : parsed.toISOString();
+};
+
+// Migrations, indexed by the version they upgrade from
+const MIGRATIONS = [
+  // 0 -> 1: fold the old, partly unprefixed settings keys into one settings
+  // object, and convert score dates from locale strings to ISO timestamps
+  async (backend, readJSON) => {
+    const settings = {};
+    const legacySettings = {
+      darkMode: 'darkMode',
+      soundOn: 'soundOn',
+      undoCountsAsMove: 'gridzen_undocountsasmove',
+    };
+    for (const [setting, key] of Object.entries(legacySettings)) {
+      const value = await readJSON(key, null);
+      if (typeof value === 'boolean') settings[setting] = value;
+    }
+    await backend.setItem(LEGACY_KEYS.settings, JSON.stringify(settings));
+    await backend.multiRemove(Object.values(legacySettings));
+
+    const highScores = await readJSON(KEYS.highScores, {});
+    if (!isPlainObject(highScores)) return;
+    Object.values(highScores).filter(Array.isArray).forEach((entries) => {
+      entries.filter(isPlainObject).forEach((entry) => {
+        const iso = legacyDateToISO(entry.date);
+        if (iso) entry.date = iso;
+      });
+    });
+    await backend.setItem(KEYS.highScores, JSON.stringify(highScores));
+  },
+
+  // 1 -> 2: turn the single player name and its settings into the first
+  // profile, and claim that player's scores for it. Without a name, the
+  // settings wait for whoever becomes the first player.
+  async (backend, readJSON) => {
+    let profiles = createProfiles();
+    const name = await backend.getItem(LEGACY_KEYS.playerName);
+    const storedSettings = await readJSON(LEGACY_KEYS.settings, {});
+    const settings = isPlainObject(storedSettings) ? storedSettings : {};
+    if (!name || !name.trim()) {
+      await backend.setItem(KEYS.guestSettings, JSON.stringify(settings));
+    } else {
+      const profile = createProfile(name, settings);
+      profiles = addProfile(profiles, profile);
+
+      const highScores = await readJSON(KEYS.highScores, {});
+      if (isPlainObject(highScores)) {
+        Object.values(highScores).filter(Array.isArray).forEach((entries) => {
+          entries.filter(isPlainObject).forEach((entry) => {
+            if (entry.name === profile.name) entry.profileId = profile.id;
+          });
+        });
+        await backend.setItem(KEYS.highScores, JSON.stringify(highScores));
+      }
+    }
+    await backend.setItem(KEYS.profiles, JSON.stringify(profiles));
+    await backend.multiRemove(Object.values(LEGACY_KEYS));
+  },
+
+  // 2 -> 3: replace each profile's dark mode switch, and the one in settings
+  // waiting for a first player, with the matching theme
+  async (backend, readJSON) => {
+    const toTheme = ({ darkMode, ...settings }) =>
+      (typeof darkMode === 'boolean' ? { ...settings, theme: darkMode ? 'dark' : 'light' } : settings);
+
+    const guestSettings = await readJSON(KEYS.guestSettings, null);
+    if (isPlainObject(guestSettings)) {
+      await backend.setItem(KEYS.guestSettings, JSON.stringify(toTheme(guestSettings)));
+    }
+
+    const profiles = await readJSON(KEYS.profiles, null);
+    if (!isPlainObject(profiles) || !Array.isArray(profiles.list)) return;
+    profiles.list.filter(isPlainObject).forEach((profile) => {
+      if (isPlainObject(profile.settings)) profile.settings = toTheme(profile.settings);
+    });
+    await backend.setItem(KEYS.profiles, JSON.stringify(profiles));
+  },
+];
+
+// Format a stored ISO date for display
+export const formatDate = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? String(value || '') : date.toLocaleDateString();
+};
+
+// Create a storage layer over an AsyncStorage-compatible backend
+export const createStorage = (backend = AsyncStorage) => {
+  // Read a JSON value, falling back when it is missing or unreadable
+  const readJSON = async (key, fallback) => {
+    const raw = await backend.getItem(key);
+    if (raw === null || raw === undefined) return fallback;
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      console.log(`Corrupt data in ${key}, resetting it:`, error);
+      await backend.setItem(`${key}_corrupt`, raw);
+      await backend.removeItem(key);
+      return fallback;
+    }
+  };
+
+  // Write a raw string, reporting failure rather than throwing
+  const write = async (key, raw) => {
+    try {
+      await backend.setItem(key, raw);
+      return true;
+    } catch (error) {
+      console.log(`Error saving ${key}:`, error);
+      return false;
+    }
+  };
+
+  const remove = async (key) => {
+    try {
+      await backend.removeItem(key);
+      return true;
+    } catch (error) {
+      console.log(`Error removing ${key}:`, error);
+      return false;
+    }
+  };
+
+  // Bring stored data up to the current schema version
+  const migrate = async () => {
+    const storedVersion = await readJSON(KEYS.schemaVersion, 0);
+    const version = Number.isInteger(storedVersion) ? storedVersion : 0;
+    for (let from = version; from < SCHEMA_VERSION; from++) {
+      await MIGRATIONS[from](backend, readJSON);
+      await backend.setItem(KEYS.schemaVersion, JSON.stringify(from + 1));
+    }
+  };
+
+  const loadHighScores = async () => {
+    const highScores = await readJSON(KEYS.highScores, {});
+    if (!isPlainObject(highScores)) return {};
+    // Drop any size whose entries aren't a list
+    return Object.fromEntries(
+      Object.entries(highScores).filter(([, entries]) => Array.isArray(entries))
+    );
+  };
+
+  // Load profiles, filling in any settings added since they were saved
+  const loadProfiles = async () => {
+    const profiles = await readJSON(KEYS.profiles, null);
+    if (!isPlainObject(profiles) || !Array.isArray(profiles.list)) return createProfiles();
+    const list = profiles.list
+      .filter((profile) => isPlainObject(profile) && profile.id && profile.name)
+      .map((profile) => ({ ...profile, settings: sanitizeSettings(profile.settings) }));
+    const activeId = list.some((profile) => profile.id === profiles.activeId)
+      ? profiles.activeId
+      : (list[0] ? list[0].id : null);
+    return { activeId, list };
+  };
+
+  return {
+    migrate,
+    loadHighScores,
+    saveHighScores: (highScores) => write(KEYS.highScores, JSON.stringify(highScores)),
+    clearHighScores: () => remove(KEYS.highScores),
+    loadProfiles,
+    saveProfiles: (profiles) => write(KEYS.profiles, JSON.stringify(profiles)),
+    loadGameLog: async () => {
+      const gameLog = await readJSON(KEYS.gameLog, []);
+      return Array.isArray(gameLog) ? gameLog.filter(isPlainObject) : [];
+    },
+    saveGameLog: (gameLog) => write(KEYS.gameLog, JSON.stringify(gameLog)),
+    loadDaily: async () => {
+      const daily = await readJSON(KEYS.daily, {});
+      return isPlainObject(daily) ? daily : {};
+    },
+    saveDaily: (daily) => write(KEYS.daily, JSON.stringify(daily)),
+    loadGuestSettings: async () => sanitizeSettings(await readJSON(KEYS.guestSettings, {})),
+    saveGuestSettings: (settings) => write(KEYS.guestSettings, JSON.stringify(settings)),
+    clearGuestSettings: () => remove(KEYS.guestSettings),
+    loadSavedGame: async () => (await backend.getItem(KEYS.savedGame)) || null,
+    saveSavedGame: (serialized) => write(KEYS.savedGame, serialized),
+    clearSavedGame: () => remove(KEYS.savedGame),
+  };
+};
+
+export default createStorage();
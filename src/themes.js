@@ -0,0 +1,122 @@
+// Themes
+// Named color schemes for every screen. Each theme has the colors screens draw
+// with and the tile palette boards use unless the player picks another. The
+// "system" setting follows the device's light or dark appearance.
+
+export const SYSTEM_THEME = 'system';
+
+export const DEFAULT_THEME = SYSTEM_THEME;
+
+const THEMES = {
+  light: {
+    label: 'Light',
+    isDark: false,
+    palette: 'standard',
+    colors: {
+      background: '#ffffff',
+      text: '#000000',
+      tile: '#f0f0f0',
+      selectedTile: '#4CAF50',
+      selectedText: '#ffffff',
+      button: '#e0e0e0',
+      buttonText: '#000000',
+      input: '#f5f5f5',
+      inputText: '#000000',
+      placeholder: '#666666',
+      border: '#cccccc',
+    },
+  },
+  dark: {
+    label: 'Dark',
+    isDark: true,
+    palette: 'standard',
+    colors: {
+      background: '#1a1a1a',
+      text: '#ffffff',
+      tile: '#2a2a2a',
+      selectedTile: '#4CAF50',
+      selectedText: '#ffffff',
+      button: '#333333',
+      buttonText: '#ffffff',
+      input: '#333333',
+      inputText: '#ffffff',
+      placeholder: '#999999',
+      border: '#444444',
+    },
+  },
+  highContrast: {
+    label: 'High Contrast',
+    isDark: true,
+    palette: 'colorSafe',
+    colors: {
+      background: '#000000',
+      text: '#ffffff',
+      tile: '#000000',
+      selectedTile: '#ffd600',
+      selectedText: '#000000',
+      button: '#ffffff',
+      buttonText: '#000000',
+      input: '#000000',
+      inputText: '#ffffff',
+      placeholder: '#cccccc',
+      border: '#ffffff',
+    },
+  },
+  ocean: {
+    label: 'Ocean',
+    isDark: true,
+    palette: 'ocean',
+    colors: {
+      background: '#0b2239',
+      text: '#e6f4ff',
+      tile: '#123456',
+      selectedTile: '#2ec4b6',
+      selectedText: '#0b2239',
+      button: '#1b4965',
+      buttonText: '#e6f4ff',
+      input: '#1b4965',
+      inputText: '#e6f4ff',
+      placeholder: '#8fb3cc',
+      border: '#2f6690',
+    },
+  },
+  sunset: {
+    label: 'Sunset',
+    isDark: false,
+    palette: 'sunset',
+    colors: {
+      background: '#fff4e6',
+      text: '#3d1f00',
+      tile: '#ffe0bd',
+      selectedTile: '#d1495b',
+      selectedText: '#ffffff',
+      button: '#ffd199',
+      buttonText: '#3d1f00',
+      input: '#ffe8cc',
+      inputText: '#3d1f00',
+      placeholder: '#8a6a4a',
+      border: '#e0a96d',
+    },
+  },
+};
+
+// Theme choices as offered in settings
+export const THEME_OPTIONS = [
+  { key: SYSTEM_THEME, label: 'Follow System' },
+  ...Object.entries(THEMES).map(([key, { label }]) => ({ key, label })),
+];
+
+// The theme a setting shows, given the device's color scheme from
+// useColorScheme ('light', 'dark' or null)
+export const resolveThemeKey = (setting, colorScheme) => {
+  if (setting === SYSTEM_THEME) return colorScheme === 'dark' ? 'dark' : 'light';
+  return THEMES[setting] ? setting : 'light';
+};
+
+// Colors for a theme setting, along with whether the theme is dark and its
+// tile palette
+export const getTheme = (setting, colorScheme) => {
+  const key = resolveThemeKey(setting, colorScheme);
+  const { isDark, palette, colors } = THEMES[key];
+  return { key, isDark, palette, ...colors };
+};
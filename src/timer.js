@@ -0,0 +1,53 @@
+// Game clock
+// A countdown is a plain value built from monotonic timestamps rather than a
+// chain of one-second timeouts, so it never drifts however late the timeouts
+// fire. Remaining time is always computed from the clock when it is needed.
+
+// Monotonic clock in milliseconds
+export const now = () =>
+  (typeof performance !== 'undefined' && performance.now ? performance.now() : Date.now());
+
+// A countdown of durationMs, started at startTime with elapsedMs already
+// used, as when a saved game is resumed
+export const createCountdown = (durationMs, startTime, elapsedMs = 0) => ({
+  durationMs,
+  elapsedMs,
+  startedAt: startTime,
+});
+
+export const isRunning = (countdown) => countdown.startedAt !== null;
+
+export const getElapsedMs = (countdown, time) =>
+  countdown.elapsedMs + (isRunning(countdown) ? time - countdown.startedAt : 0);
+
+export const getRemainingMs = (countdown, time) =>
+  Math.max(0, countdown.durationMs - getElapsedMs(countdown, time));
+
+// Stop the clock, banking the time elapsed so far
+export const pauseCountdown = (countdown, time) =>
+  isRunning(countdown)
+    ? { ...countdown, elapsedMs: getElapsedMs(countdown, time), startedAt: null }
+    : countdown;
+
+export const resumeCountdown = (countdown, time) =>
+  isRunning(countdown) ? countdown : { ...countdown, startedAt: time };
+
+// A clock with no limit, counting up from elapsedMs, for untimed games. It
+// pauses and resumes like a countdown that never runs out.
+export const createStopwatch = (elapsedMs, startTime) => ({
+  durationMs: Infinity,
+  elapsedMs,
+  startedAt: startTime,
+});
+
+// Whole seconds shown on the clock; 0.2s left still shows as 1s
+export const toDisplaySeconds = (ms) => Math.ceil(ms / 1000);
+
+// Seconds to a tenth, as used for scoring
+export const toTenths = (ms) => Math.round(ms / 100) / 10;
+
+// Milliseconds until the displayed seconds next change
+export const msUntilNextSecond = (ms) => ms - (toDisplaySeconds(ms) - 1) * 1000;
+
+// Milliseconds until a count-up clock next shows a new second
+export const msUntilNextElapsedSecond = (ms) => 1000 - (ms % 1000);